@@ -9,7 +9,7 @@ public class MultiplayerHub(MultiplayerRoomManager roomManager) : Hub
         var room = roomManager.CreateRoom(Context.ConnectionId, hostColor);
         await Groups.AddToGroupAsync(Context.ConnectionId, room.RoomId);
         await Clients.Caller.SendAsync("TimerUpdate", roomManager.GetTimerUpdate(room.RoomId));
-        return new RoomCreatedResponse(room.RoomId, room.HostColor, room.StartingColor);
+        return new RoomCreatedResponse(room.RoomId, room.HostColor, room.StartingColor, room.HostResumeToken);
     }
 
     public async Task JoinRoom(string roomId)
@@ -23,17 +23,77 @@ public class MultiplayerHub(MultiplayerRoomManager roomManager) : Hub
         }
 
         await Groups.AddToGroupAsync(Context.ConnectionId, roomId);
-        await Clients.Caller.SendAsync("RoomJoined", new RoomJoinedResponse(room.RoomId, room.GuestColor, room.StartingColor));
+        await Clients.Caller.SendAsync("RoomJoined", new RoomJoinedResponse(room.RoomId, room.GuestColor, room.StartingColor, room.GuestResumeToken!));
         await Clients.Caller.SendAsync("TimerUpdate", roomManager.GetTimerUpdate(room.RoomId));
-        if (!string.IsNullOrEmpty(room.HostConnectionId))
+        await Clients.OthersInGroup(roomId)
+            .SendAsync("PlayerJoined", new PlayerJoinedResponse(room.RoomId, room.HostColor, room.GuestColor, room.StartingColor));
+    }
+
+    public async Task<SpectatorJoinedResponse> SpectateRoom(string roomId)
+    {
+        var joinResult = roomManager.TrySpectateRoom(roomId, Context.ConnectionId, out var room);
+        if (joinResult != JoinRoomResult.Success)
+        {
+            throw new HubException("Room not available.");
+        }
+
+        await Groups.AddToGroupAsync(Context.ConnectionId, roomId);
+        await Clients.Caller.SendAsync("TimerUpdate", roomManager.GetTimerUpdate(roomId));
+        var providerConnectionId = roomManager.GetStateProviderConnectionId(roomId);
+        if (providerConnectionId != null)
+        {
+            await Clients.Client(providerConnectionId)
+                .SendAsync("SpectatorStateRequested", new SpectatorStateRequestedResponse(roomId, Context.ConnectionId));
+        }
+
+        return new SpectatorJoinedResponse(roomId, room.HostColor, room.StartingColor, room.State == MultiplayerRoomState.Started);
+    }
+
+    public async Task SendSpectatorState(string roomId, string spectatorConnectionId, ResumeStateDto state)
+    {
+        EnsurePlayer(roomId);
+        if (roomManager.IsSpectator(roomId, spectatorConnectionId))
+        {
+            await Clients.Client(spectatorConnectionId).SendAsync("ResumeState", state);
+        }
+    }
+
+    public async Task<RoomResumedResponse> ResumeRoom(string roomId, string resumeToken)
+    {
+        var resume = roomManager.TryResumeRoom(roomId, resumeToken, Context.ConnectionId)
+            ?? throw new HubException("Room not available.");
+
+        await Groups.AddToGroupAsync(Context.ConnectionId, roomId);
+        if (resume.OpponentConnectionId != null)
         {
-            await Clients.Client(room.HostConnectionId)
-                .SendAsync("PlayerJoined", new PlayerJoinedResponse(room.RoomId, room.HostColor, room.GuestColor, room.StartingColor));
+            await Clients.OthersInGroup(roomId)
+                .SendAsync("OpponentReconnected", new OpponentReconnectedResponse(roomId));
         }
+
+        await Clients.Group(roomId).SendAsync("TimerUpdate", resume.TimerUpdate);
+        return new RoomResumedResponse(
+            roomId,
+            resume.PlayerColor,
+            resume.Room.StartingColor,
+            resume.OpponentConnectionId != null,
+            resume.GraceSecondsRemaining);
+    }
+
+    public async Task SendResumeState(string roomId, ResumeStateDto state)
+    {
+        EnsurePlayer(roomId);
+        await Clients.OthersInGroup(roomId).SendAsync("ResumeState", state);
+    }
+
+    public async Task RequestResumeState(string roomId)
+    {
+        EnsurePlayer(roomId);
+        await Clients.OthersInGroup(roomId).SendAsync("ResumeStateRequested", new ResumeStateRequestedResponse(roomId));
     }
 
     public async Task StartTurn(string roomId, string activeColor)
     {
+        EnsurePlayer(roomId);
         var update = roomManager.StartTurn(roomId, activeColor);
         if (update != null)
         {
@@ -43,6 +103,7 @@ public class MultiplayerHub(MultiplayerRoomManager roomManager) : Hub
 
     public async Task StopTurn(string roomId)
     {
+        EnsurePlayer(roomId);
         var update = roomManager.StopTurn(roomId);
         if (update != null)
         {
@@ -50,28 +111,39 @@ public class MultiplayerHub(MultiplayerRoomManager roomManager) : Hub
         }
     }
 
-    public async Task UpdateStoneStates(string roomId, IEnumerable<StoneStateDto> stones)
+    public async Task LaunchStone(string roomId, StoneLaunchDto launch)
     {
-        await Clients.OthersInGroup(roomId).SendAsync("StoneUpdates", stones);
+        EnsurePlayer(roomId);
+        await Clients.OthersInGroup(roomId).SendAsync("StoneLaunched", launch);
+    }
+
+    public async Task SendThrowEvents(string roomId, ThrowEventsDto batch)
+    {
+        EnsurePlayer(roomId);
+        await Clients.OthersInGroup(roomId).SendAsync("ThrowEvents", batch);
     }
 
     public async Task SnapshotStoneStates(string roomId, IEnumerable<StoneStateDto> stones)
     {
+        EnsurePlayer(roomId);
         await Clients.OthersInGroup(roomId).SendAsync("StoneSnapshot", stones);
     }
 
     public async Task CompleteTurn(string roomId, string activeColor, int currentThrowIndex)
     {
+        EnsurePlayer(roomId);
         await Clients.Group(roomId).SendAsync("TurnChanged", new TurnChangedResponse(roomId, activeColor, currentThrowIndex));
     }
 
     public async Task NotifyEndScored(string roomId)
     {
+        EnsurePlayer(roomId);
         await Clients.OthersInGroup(roomId).SendAsync("EndScored", new EndScoredResponse(roomId));
     }
 
     public async Task StartNextEndCountdown(string roomId, int seconds)
     {
+        EnsurePlayer(roomId);
         await Clients.Group(roomId).SendAsync("NextEndCountdown", new NextEndCountdownResponse(roomId, seconds));
     }
 
@@ -80,15 +152,31 @@ public class MultiplayerHub(MultiplayerRoomManager roomManager) : Hub
         var disconnection = roomManager.HandleDisconnect(Context.ConnectionId);
         if (disconnection != null)
         {
-            _ = Clients.Client(disconnection.RemainingConnectionId)
-                .SendAsync("GameEnded", new GameEndedResponse(disconnection.RoomId, "opponent-left"));
+            _ = Clients.Group(disconnection.RoomId)
+                .SendAsync("OpponentDisconnected", new OpponentDisconnectedResponse(disconnection.RoomId, disconnection.GraceSeconds));
+            _ = Clients.Group(disconnection.RoomId)
+                .SendAsync("TimerUpdate", disconnection.TimerUpdate);
         }
         return base.OnDisconnectedAsync(exception);
     }
+
+    private void EnsurePlayer(string roomId)
+    {
+        if (roomManager.IsSpectator(roomId, Context.ConnectionId))
+        {
+            throw new HubException("Spectators cannot play.");
+        }
+    }
 }
 
-public record RoomCreatedResponse(string RoomId, string HostColor, string StartingColor);
-public record RoomJoinedResponse(string RoomId, string GuestColor, string StartingColor);
+public record RoomCreatedResponse(string RoomId, string HostColor, string StartingColor, string ResumeToken);
+public record RoomJoinedResponse(string RoomId, string GuestColor, string StartingColor, string ResumeToken);
+public record SpectatorJoinedResponse(string RoomId, string HostColor, string StartingColor, bool IsStarted);
+public record SpectatorStateRequestedResponse(string RoomId, string SpectatorConnectionId);
+public record RoomResumedResponse(string RoomId, string PlayerColor, string StartingColor, bool OpponentConnected, int GraceSecondsRemaining);
+public record OpponentDisconnectedResponse(string RoomId, int GraceSeconds);
+public record OpponentReconnectedResponse(string RoomId);
+public record ResumeStateRequestedResponse(string RoomId);
 public record PlayerJoinedResponse(string RoomId, string HostColor, string GuestColor, string StartingColor);
 public record GameEndedResponse(string RoomId, string Reason);
 public record TurnChangedResponse(string RoomId, string ActiveColor, int CurrentThrowIndex);
@@ -96,3 +184,17 @@ public record EndScoredResponse(string RoomId);
 public record NextEndCountdownResponse(string RoomId, int Seconds);
 public record StoneStateDto(string Color, int Number, StoneVector Position, StoneVector Velocity, double RotationRate, double Angle, bool IsLaunched, bool IsOut);
 public record StoneVector(double X, double Y);
+public record StoneLaunchDto(int ThrowIndex, string Color, int Number, StoneVector Velocity, double RotationRate, double OffsetX, string Checksum);
+public record SweepStateDto(string Key, double FrictionMultiplier, double CurlMultiplier);
+public record ThrowEventDto(int Step, string Type, SweepStateDto? Sweep, string? Color, int? Number, double? RotationRate);
+public record ThrowEventsDto(int ThrowIndex, int Step, bool IsFinal, IEnumerable<ThrowEventDto> Events);
+public record TeamScoreDto(string StoneColor, IEnumerable<string> Scores, int Total);
+public record ResumeStateDto(
+    IEnumerable<StoneStateDto> Stones,
+    IEnumerable<TeamScoreDto> Teams,
+    int CurrentEndIndex,
+    int CurrentThrowIndex,
+    string ActiveColor,
+    string StartingColor,
+    string? HammerColor,
+    bool IsEndInProgress);
@@ -6,6 +6,7 @@ namespace Curling.Hubs;
 public class MultiplayerRoomManager
 {
     private const int DefaultThinkTimeSeconds = 38 * 60;
+    private static readonly TimeSpan ReconnectGracePeriod = TimeSpan.FromSeconds(60);
     private readonly ConcurrentDictionary<string, MultiplayerRoom> rooms = new();
     private readonly ConcurrentDictionary<string, string> connectionToRoom = new();
     private readonly Random random = new();
@@ -22,7 +23,7 @@ public class MultiplayerRoomManager
         var normalizedHostColor = NormalizeColor(hostColor);
         var guestColor = GetOppositeColor(normalizedHostColor);
         var startingColor = random.Next(0, 2) == 0 ? normalizedHostColor : guestColor;
-        var room = new MultiplayerRoom(roomId, hostConnectionId, normalizedHostColor, guestColor, startingColor)
+        var room = new MultiplayerRoom(roomId, hostConnectionId, normalizedHostColor, guestColor, startingColor, CreateResumeToken())
         {
             RemainingRedSeconds = DefaultThinkTimeSeconds,
             RemainingYellowSeconds = DefaultThinkTimeSeconds
@@ -52,12 +53,66 @@ public class MultiplayerRoomManager
             }
 
             room.GuestConnectionId = connectionId;
+            room.GuestResumeToken = CreateResumeToken();
             room.State = MultiplayerRoomState.Started;
             connectionToRoom[connectionId] = roomId;
             return JoinRoomResult.Success;
         }
     }
 
+    public JoinRoomResult TrySpectateRoom(string roomId, string connectionId, out MultiplayerRoom room)
+    {
+        if (!rooms.TryGetValue(roomId, out room))
+        {
+            return JoinRoomResult.NotFound;
+        }
+
+        lock (room.SyncRoot)
+        {
+            if (room.State == MultiplayerRoomState.Ended)
+            {
+                return JoinRoomResult.NotFound;
+            }
+
+            if (room.HostConnectionId == connectionId || room.GuestConnectionId == connectionId)
+            {
+                return JoinRoomResult.NotAvailable;
+            }
+
+            room.SpectatorConnectionIds.Add(connectionId);
+            connectionToRoom[connectionId] = roomId;
+            return JoinRoomResult.Success;
+        }
+    }
+
+    public bool IsSpectator(string roomId, string connectionId)
+    {
+        if (!rooms.TryGetValue(roomId, out var room))
+        {
+            return false;
+        }
+
+        lock (room.SyncRoot)
+        {
+            return room.SpectatorConnectionIds.Contains(connectionId);
+        }
+    }
+
+    public string? GetStateProviderConnectionId(string roomId)
+    {
+        if (!rooms.TryGetValue(roomId, out var room))
+        {
+            return null;
+        }
+
+        lock (room.SyncRoot)
+        {
+            return room.State == MultiplayerRoomState.Started
+                ? room.HostConnectionId ?? room.GuestConnectionId
+                : null;
+        }
+    }
+
     public DisconnectionResult? HandleDisconnect(string connectionId)
     {
         if (!connectionToRoom.TryRemove(connectionId, out var roomId))
@@ -72,31 +127,102 @@ public class MultiplayerRoomManager
 
         lock (room.SyncRoot)
         {
-            if (room.State == MultiplayerRoomState.Ended)
+            if (room.State == MultiplayerRoomState.Ended || room.SpectatorConnectionIds.Remove(connectionId))
+            {
+                return null;
+            }
+
+            if (room.State == MultiplayerRoomState.WaitingForGuest)
             {
+                EndRoom(room);
                 return null;
             }
 
-            string? remainingConnectionId = null;
             if (room.HostConnectionId == connectionId)
             {
-                remainingConnectionId = room.GuestConnectionId;
+                room.HostConnectionId = null;
             }
             else if (room.GuestConnectionId == connectionId)
             {
-                remainingConnectionId = room.HostConnectionId;
+                room.GuestConnectionId = null;
+            }
+            else
+            {
+                return null;
             }
 
-            if (remainingConnectionId != null)
+            if (room.RunningColor != null)
             {
-                connectionToRoom.TryRemove(remainingConnectionId, out _);
+                room.PausedColor = room.RunningColor;
+                room.RunningColor = null;
             }
 
-            room.State = MultiplayerRoomState.Ended;
-            room.Timer?.Dispose();
-            room.Timer = null;
-            rooms.TryRemove(roomId, out _);
-            return remainingConnectionId == null ? null : new DisconnectionResult(roomId, remainingConnectionId);
+            room.GraceDeadline ??= DateTimeOffset.UtcNow + ReconnectGracePeriod;
+            room.GraceTimer ??= new Timer(
+                async _ => await ExpireGracePeriod(room),
+                null,
+                ReconnectGracePeriod,
+                Timeout.InfiniteTimeSpan);
+            return new DisconnectionResult(roomId, GetGraceSecondsRemaining(room), BuildTimerUpdate(room));
+        }
+    }
+
+    public RoomResumeResult? TryResumeRoom(string roomId, string resumeToken, string connectionId)
+    {
+        if (!rooms.TryGetValue(roomId, out var room))
+        {
+            return null;
+        }
+
+        lock (room.SyncRoot)
+        {
+            if (room.State != MultiplayerRoomState.Started || string.IsNullOrEmpty(resumeToken))
+            {
+                return null;
+            }
+
+            string playerColor;
+            string? previousConnectionId;
+            string? opponentConnectionId;
+            if (resumeToken == room.HostResumeToken)
+            {
+                playerColor = room.HostColor;
+                previousConnectionId = room.HostConnectionId;
+                room.HostConnectionId = connectionId;
+                opponentConnectionId = room.GuestConnectionId;
+            }
+            else if (resumeToken == room.GuestResumeToken)
+            {
+                playerColor = room.GuestColor;
+                previousConnectionId = room.GuestConnectionId;
+                room.GuestConnectionId = connectionId;
+                opponentConnectionId = room.HostConnectionId;
+            }
+            else
+            {
+                return null;
+            }
+
+            if (previousConnectionId != null && previousConnectionId != connectionId)
+            {
+                connectionToRoom.TryRemove(previousConnectionId, out _);
+            }
+
+            connectionToRoom[connectionId] = roomId;
+            var graceSecondsRemaining = GetGraceSecondsRemaining(room);
+            if (opponentConnectionId != null)
+            {
+                room.GraceTimer?.Dispose();
+                room.GraceTimer = null;
+                room.GraceDeadline = null;
+                if (room.PausedColor != null)
+                {
+                    room.RunningColor = room.PausedColor;
+                    room.PausedColor = null;
+                }
+            }
+
+            return new RoomResumeResult(room, playerColor, opponentConnectionId, graceSecondsRemaining, BuildTimerUpdate(room));
         }
     }
 
@@ -152,6 +278,48 @@ public class MultiplayerRoomManager
         }
     }
 
+    private async Task ExpireGracePeriod(MultiplayerRoom room)
+    {
+        lock (room.SyncRoot)
+        {
+            if (room.State == MultiplayerRoomState.Ended || room.GraceDeadline == null)
+            {
+                return;
+            }
+
+            EndRoom(room);
+        }
+
+        await hubContext.Clients.Group(room.RoomId)
+            .SendAsync("GameEnded", new GameEndedResponse(room.RoomId, "opponent-left"));
+    }
+
+    private void EndRoom(MultiplayerRoom room)
+    {
+        foreach (var connectionId in new[] { room.HostConnectionId, room.GuestConnectionId }.Concat(room.SpectatorConnectionIds))
+        {
+            if (connectionId != null)
+            {
+                connectionToRoom.TryRemove(connectionId, out _);
+            }
+        }
+
+        room.State = MultiplayerRoomState.Ended;
+        room.Timer?.Dispose();
+        room.Timer = null;
+        room.GraceTimer?.Dispose();
+        room.GraceTimer = null;
+        room.GraceDeadline = null;
+        rooms.TryRemove(room.RoomId, out _);
+    }
+
+    private static int GetGraceSecondsRemaining(MultiplayerRoom room)
+        => room.GraceDeadline == null
+            ? 0
+            : Math.Max(0, (int)Math.Ceiling((room.GraceDeadline.Value - DateTimeOffset.UtcNow).TotalSeconds));
+
+    private static string CreateResumeToken() => Guid.NewGuid().ToString("N");
+
     private void EnsureTimer(MultiplayerRoom room)
     {
         room.Timer ??= new Timer(async _ => await TickTimer(room), null, TimeSpan.FromSeconds(1), TimeSpan.FromSeconds(1));
@@ -205,18 +373,24 @@ public class MultiplayerRoomManager
         => new(room.RoomId, room.RemainingRedSeconds, room.RemainingYellowSeconds, room.RunningColor);
 }
 
-public class MultiplayerRoom(string roomId, string hostConnectionId, string hostColor, string guestColor, string startingColor)
+public class MultiplayerRoom(string roomId, string hostConnectionId, string hostColor, string guestColor, string startingColor, string hostResumeToken)
 {
     public string RoomId { get; } = roomId;
-    public string HostConnectionId { get; } = hostConnectionId;
+    public string? HostConnectionId { get; set; } = hostConnectionId;
+    public string HostResumeToken { get; } = hostResumeToken;
     public string HostColor { get; } = hostColor;
     public string GuestColor { get; } = guestColor;
     public string StartingColor { get; } = startingColor;
     public string? GuestConnectionId { get; set; }
+    public string? GuestResumeToken { get; set; }
+    public HashSet<string> SpectatorConnectionIds { get; } = [];
     public int RemainingRedSeconds { get; set; }
     public int RemainingYellowSeconds { get; set; }
     public string? RunningColor { get; set; }
+    public string? PausedColor { get; set; }
     public Timer? Timer { get; set; }
+    public Timer? GraceTimer { get; set; }
+    public DateTimeOffset? GraceDeadline { get; set; }
     public MultiplayerRoomState State { get; set; } = MultiplayerRoomState.WaitingForGuest;
     public object SyncRoot { get; } = new();
 }
@@ -236,5 +410,6 @@ public enum JoinRoomResult
     AlreadyStarted
 }
 
-public record DisconnectionResult(string RoomId, string RemainingConnectionId);
+public record DisconnectionResult(string RoomId, int GraceSeconds, TimerUpdateResponse TimerUpdate);
+public record RoomResumeResult(MultiplayerRoom Room, string PlayerColor, string? OpponentConnectionId, int GraceSecondsRemaining, TimerUpdateResponse TimerUpdate);
 public record TimerUpdateResponse(string RoomId, int RedSeconds, int YellowSeconds, string? RunningColor);
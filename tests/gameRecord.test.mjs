@@ -0,0 +1,52 @@
+/*
+* Curling Game - A curling simulation game
+* Copyright (C) 2025 Barosaurus Software
+*
+* This program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU General Public License as published by
+* the Free Software Foundation, either version 3 of the License, or
+* (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU General Public License for more details.
+*
+* You should have received a copy of the GNU General Public License
+* along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createGameRecordController } from '../wwwroot/js/gameRecord.js';
+import { STONES_PER_TEAM_OPTIONS } from '../wwwroot/js/constants.js';
+
+const controller = createGameRecordController({ stonesPerTeamOptions: STONES_PER_TEAM_OPTIONS });
+
+const buildRecord = (metadata = {}) =>
+	JSON.stringify({
+		format: 'curling-game-record',
+		version: 1,
+		metadata: {
+			stonesPerTeam: 8,
+			teams: [
+				{ color: 'red', name: 'Red' },
+				{ color: 'yellow', name: 'Yellow' }
+			],
+			...metadata
+		},
+		ends: [{ index: 0, initialStones: [], throws: [] }]
+	});
+
+describe('parseRecord', () => {
+	test('accepts every supported stones per team option', () => {
+		for (const stonesPerTeam of STONES_PER_TEAM_OPTIONS) {
+			assert.equal(controller.parseRecord(buildRecord({ stonesPerTeam })).metadata.stonesPerTeam, stonesPerTeam);
+		}
+	});
+
+	test('rejects unsupported stones per team values', () => {
+		for (const stonesPerTeam of ['abc', 1e7, 0, 7, '8', null, undefined]) {
+			assert.throws(() => controller.parseRecord(buildRecord({ stonesPerTeam })), /Unsupported stones per team/);
+		}
+	});
+});
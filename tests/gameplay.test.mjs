@@ -0,0 +1,381 @@
+/*
+* Curling Game - A curling simulation game
+* Copyright (C) 2025 Barosaurus Software
+*
+* This program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU General Public License as published by
+* the Free Software Foundation, either version 3 of the License, or
+* (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU General Public License for more details.
+*
+* You should have received a copy of the GNU General Public License
+* along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createGameplayController } from '../wwwroot/js/gameplay.js';
+import {
+	EXTRA_END_THINK_TIME_SECONDS,
+	GameMode,
+	HOG_LINE_FAR_Y,
+	MEASURE_CLOSE_CALL_METERS,
+	MEASURE_TIE_TOLERANCE_METERS,
+	MEASUREMENTS,
+	STONE_RADIUS
+} from '../wwwroot/js/constants.js';
+import { StoneColor } from '../wwwroot/js/stone.js';
+
+const HOUSE_RADIUS = MEASUREMENTS.rings.redOuter;
+const { RED, YELLOW } = StoneColor;
+
+const inPlay = (color, number, distance, x = 0) => ({
+	color,
+	number,
+	position: { x, y: -Math.sqrt(Math.max(0, distance * distance - x * x)) },
+	isLaunched: true,
+	isOut: false
+});
+
+const outOfPlay = (color, number) => ({ color, number, position: { x: 0, y: 0 }, isLaunched: false, isOut: true });
+
+const unthrown = (color, number) => ({ color, number, position: { x: 0, y: -40 }, isLaunched: false, isOut: false });
+
+function createHarness({
+	stones = [],
+	mode = GameMode.TWO_PLAYER,
+	baseEnds = 8,
+	currentEndIndex = 0,
+	hammerColor = YELLOW,
+	allowExtraEnds = true,
+	stonesPerTeam = 8,
+	totals = [0, 0]
+} = {}) {
+	const state = {
+		stones,
+		currentEndIndex,
+		hammerColor,
+		startingTeamColor: hammerColor === RED ? YELLOW : RED,
+		isEndInProgress: true,
+		endResultCommitted: false,
+		isGameOver: false,
+		scoringSequence: null,
+		pendingRoundAction: null,
+		relocated: [],
+		winnerAnnouncement: null,
+		committedEnds: 0
+	};
+	const scoreboardState = {
+		teams: [
+			{ stoneColor: RED, name: 'Red', scores: Array(baseEnds).fill(''), total: totals[0] },
+			{ stoneColor: YELLOW, name: 'Yellow', scores: Array(baseEnds).fill(''), total: totals[1] }
+		]
+	};
+	const teamThinkTimeRemaining = { [RED]: 600, [YELLOW]: 600 };
+	const noop = () => {};
+	const controller = createGameplayController({
+		physicsEngine: {
+			getStones: () => state.stones,
+			isRunning: () => false
+		},
+		inputController: { resetInteractions: noop, getDragState: () => null },
+		StoneColor,
+		GameMode,
+		getCurrentMode: () => mode,
+		getCurrentEndIndex: () => state.currentEndIndex,
+		getCurrentThrowIndex: () => 0,
+		setCurrentEndIndex: (value) => {
+			state.currentEndIndex = value;
+		},
+		getStartingTeamColor: () => state.startingTeamColor,
+		setStartingTeamColor: (value) => {
+			state.startingTeamColor = value;
+		},
+		getHammerColor: () => state.hammerColor,
+		setHammerColor: (value) => {
+			state.hammerColor = value;
+		},
+		startNewGame: noop,
+		getIsEndInProgress: () => state.isEndInProgress,
+		setIsEndInProgress: (value) => {
+			state.isEndInProgress = value;
+		},
+		getEndResultCommitted: () => state.endResultCommitted,
+		setEndResultCommitted: (value) => {
+			state.endResultCommitted = value;
+		},
+		getIsGameOver: () => state.isGameOver,
+		setIsGameOver: (value) => {
+			state.isGameOver = value;
+		},
+		getScoringSequence: () => state.scoringSequence,
+		setScoringSequence: (value) => {
+			state.scoringSequence = value;
+		},
+		getPendingRoundAction: () => state.pendingRoundAction,
+		setPendingRoundAction: (value) => {
+			state.pendingRoundAction = value;
+		},
+		setReadyStoneKey: noop,
+		setCurrentThrowIndex: noop,
+		setNextTeamColorPending: noop,
+		setActiveTeamColor: noop,
+		showMenu: noop,
+		setScoreboardVisible: noop,
+		renderScoreboard: noop,
+		resetStonesToHomeTrays: noop,
+		onEndStarted: noop,
+		onEndResultCommitted: () => {
+			state.committedEnds += 1;
+		},
+		ensureReadyStone: noop,
+		relocateStoneToOutTray: (stone) => {
+			stone.isLaunched = false;
+			stone.isOut = true;
+			state.relocated.push(`${stone.color}:${stone.number}`);
+		},
+		stopThinkingTimer: noop,
+		showCenterNote: noop,
+		showEndScoreAnnouncement: noop,
+		hideEndScoreAnnouncement: noop,
+		showWinnerAnnouncement: (message) => {
+			state.winnerAnnouncement = message;
+		},
+		hideWinnerAnnouncement: noop,
+		clearCameraFollowStone: noop,
+		clampCameraPosition: noop,
+		camera: { y: 0 },
+		scoreboardState,
+		teamThinkTimeRemaining,
+		updateTimerLabel: noop,
+		getBaseEnds: () => baseEnds,
+		getTeamThinkTimeSeconds: () => 600,
+		getAllowExtraEnds: () => allowExtraEnds,
+		getTeamNames: () => ({}),
+		extraEndThinkTimeSeconds: EXTRA_END_THINK_TIME_SECONDS,
+		houseRadius: HOUSE_RADIUS,
+		stoneRadius: STONE_RADIUS,
+		hogLineFarY: HOG_LINE_FAR_Y,
+		getStonesPerTeam: () => stonesPerTeam,
+		getFreeGuardZoneThrows: () => 5,
+		scoringSettings: {},
+		measureTieTolerance: MEASURE_TIE_TOLERANCE_METERS,
+		measureCloseCallDistance: MEASURE_CLOSE_CALL_METERS,
+		showMeasurement: noop,
+		hideMeasurement: noop,
+		setTimerDisplayColor: noop
+	});
+	return { controller, state, scoreboardState, teamThinkTimeRemaining };
+}
+
+describe('buildEndScoringPlan', () => {
+	test('counts every stone closer than the best opponent stone', () => {
+		const { controller } = createHarness({
+			stones: [inPlay(RED, 1, 0.1), inPlay(RED, 2, 0.5, 0.3), inPlay(YELLOW, 1, 0.8), inPlay(RED, 3, 1.2)]
+		});
+		const plan = controller.buildEndScoringPlan();
+		assert.equal(plan.winningColor, RED);
+		assert.equal(plan.points, 2);
+		assert.equal(plan.isTieForFirst, false);
+		assert.deepEqual(
+			plan.removalQueue.map((stone) => `${stone.color}:${stone.number}`),
+			[`${RED}:3`, `${YELLOW}:1`]
+		);
+	});
+
+	test('ignores stones that are out of play, unthrown or outside the house', () => {
+		const { controller } = createHarness({
+			stones: [
+				outOfPlay(YELLOW, 1),
+				{ ...inPlay(YELLOW, 4, 0.05), isOut: true },
+				unthrown(YELLOW, 2),
+				inPlay(YELLOW, 3, HOUSE_RADIUS + STONE_RADIUS + 0.01),
+				inPlay(RED, 1, 1.5)
+			]
+		});
+		const plan = controller.buildEndScoringPlan();
+		assert.equal(plan.winningColor, RED);
+		assert.equal(plan.points, 1);
+		assert.deepEqual(plan.removalQueue.map((stone) => stone.number), [3]);
+	});
+
+	test('a stone biting the edge of the house counts', () => {
+		const { controller } = createHarness({
+			stones: [inPlay(YELLOW, 1, HOUSE_RADIUS + STONE_RADIUS - 0.01)]
+		});
+		const plan = controller.buildEndScoringPlan();
+		assert.equal(plan.winningColor, YELLOW);
+		assert.equal(plan.points, 1);
+	});
+
+	test('an empty house is a blank end', () => {
+		const { controller } = createHarness({ stones: [inPlay(RED, 1, 4), unthrown(YELLOW, 1)] });
+		const plan = controller.buildEndScoringPlan();
+		assert.equal(plan.winningColor, null);
+		assert.equal(plan.points, 0);
+		assert.equal(plan.isCloseCall, false);
+		assert.equal(plan.removalQueue.length, 1);
+	});
+
+	test('shot stones within the measurement tolerance tie for a blank end', () => {
+		const { controller } = createHarness({
+			stones: [inPlay(RED, 1, 0.6), inPlay(YELLOW, 1, 0.6 + MEASURE_TIE_TOLERANCE_METERS / 2, 0.2)]
+		});
+		const plan = controller.buildEndScoringPlan();
+		assert.equal(plan.isTieForFirst, true);
+		assert.equal(plan.winningColor, null);
+		assert.equal(plan.points, 0);
+		assert.equal(plan.isCloseCall, true);
+		assert.ok(plan.measurements.every((entry) => entry.isTied && !entry.isCounting));
+	});
+
+	test('a gap just beyond the tolerance is measured and scored', () => {
+		const { controller } = createHarness({
+			stones: [inPlay(RED, 1, 0.6), inPlay(YELLOW, 1, 0.6 + MEASURE_TIE_TOLERANCE_METERS * 2, 0.2)]
+		});
+		const plan = controller.buildEndScoringPlan();
+		assert.equal(plan.isTieForFirst, false);
+		assert.equal(plan.isCloseCall, true);
+		assert.equal(plan.winningColor, RED);
+		assert.equal(plan.points, 1);
+		const counting = plan.measurements.filter((entry) => entry.isCounting);
+		assert.deepEqual(counting.map((entry) => entry.stone.color), [RED]);
+	});
+
+	test('a second stone tied with the opponent does not count', () => {
+		const { controller } = createHarness({
+			stones: [inPlay(RED, 1, 0.1), inPlay(RED, 2, 0.9), inPlay(YELLOW, 1, 0.9 + MEASURE_TIE_TOLERANCE_METERS / 2, 0.3)]
+		});
+		const plan = controller.buildEndScoringPlan();
+		assert.equal(plan.winningColor, RED);
+		assert.equal(plan.points, 1);
+		assert.equal(plan.measurements.find((entry) => entry.stone.number === 2 && entry.stone.color === RED).isTied, true);
+	});
+});
+
+describe('scoreCurrentEnd', () => {
+	test('records the points, removes non-counting stones and gives the hammer to the other team', () => {
+		const { controller, state, scoreboardState } = createHarness({
+			hammerColor: YELLOW,
+			stones: [inPlay(RED, 1, 0.2), inPlay(RED, 2, 0.4, 0.2), inPlay(YELLOW, 1, 1), inPlay(YELLOW, 2, 5)]
+		});
+		controller.scoreCurrentEnd();
+		assert.deepEqual(scoreboardState.teams[0].scores.slice(0, 1), ['2']);
+		assert.deepEqual(scoreboardState.teams[1].scores.slice(0, 1), ['0']);
+		assert.equal(scoreboardState.teams[0].total, 2);
+		assert.equal(state.currentEndIndex, 1);
+		assert.deepEqual(state.relocated, [`${YELLOW}:2`, `${YELLOW}:1`]);
+		assert.equal(state.hammerColor, YELLOW);
+		assert.equal(state.startingTeamColor, RED);
+		assert.equal(state.pendingRoundAction, 'nextEnd');
+		assert.equal(state.isEndInProgress, false);
+		assert.equal(state.committedEnds, 1);
+	});
+
+	test('a steal passes the hammer to the team that gave it up', () => {
+		const { controller, state } = createHarness({ hammerColor: RED, stones: [inPlay(YELLOW, 1, 0.3)] });
+		controller.scoreCurrentEnd();
+		assert.equal(state.hammerColor, RED);
+		assert.equal(state.startingTeamColor, YELLOW);
+		const scored = createHarness({ hammerColor: YELLOW, stones: [inPlay(YELLOW, 1, 0.3)] });
+		scored.controller.scoreCurrentEnd();
+		assert.equal(scored.state.hammerColor, RED);
+		assert.equal(scored.state.startingTeamColor, YELLOW);
+	});
+
+	test('a blank end keeps the hammer', () => {
+		const { controller, state, scoreboardState } = createHarness({ hammerColor: YELLOW, stones: [inPlay(RED, 1, 4)] });
+		controller.scoreCurrentEnd();
+		assert.equal(state.hammerColor, YELLOW);
+		assert.equal(state.startingTeamColor, RED);
+		assert.deepEqual(scoreboardState.teams.map((team) => team.scores[0]), ['0', '0']);
+		assert.deepEqual(scoreboardState.teams.map((team) => team.total), [0, 0]);
+	});
+
+	test('a blank end passes the hammer in mixed doubles', () => {
+		const { controller, state } = createHarness({
+			mode: GameMode.MIXED_DOUBLES,
+			hammerColor: YELLOW,
+			stones: [inPlay(RED, 1, 4)]
+		});
+		controller.scoreCurrentEnd();
+		assert.equal(state.hammerColor, RED);
+		assert.equal(state.startingTeamColor, YELLOW);
+	});
+
+	test('a tie after the last end adds an extra end', () => {
+		const { controller, state, scoreboardState, teamThinkTimeRemaining } = createHarness({
+			baseEnds: 2,
+			currentEndIndex: 1,
+			totals: [3, 2],
+			stones: [inPlay(YELLOW, 1, 0.5)]
+		});
+		controller.scoreCurrentEnd();
+		assert.equal(state.isGameOver, false);
+		assert.equal(state.pendingRoundAction, 'nextEnd');
+		assert.equal(controller.getTotalScheduledEnds(), 3);
+		assert.ok(scoreboardState.teams.every((team) => team.scores.length === 3 && team.scores[2] === ''));
+		assert.equal(teamThinkTimeRemaining[RED], 600 + EXTRA_END_THINK_TIME_SECONDS);
+		assert.equal(teamThinkTimeRemaining[YELLOW], 600 + EXTRA_END_THINK_TIME_SECONDS);
+	});
+
+	test('a tie after the last end ends the game when extra ends are off', () => {
+		const { controller, state, scoreboardState } = createHarness({
+			baseEnds: 2,
+			currentEndIndex: 1,
+			allowExtraEnds: false,
+			totals: [3, 2],
+			stones: [inPlay(YELLOW, 1, 0.5)]
+		});
+		controller.scoreCurrentEnd();
+		assert.equal(state.isGameOver, true);
+		assert.equal(state.pendingRoundAction, 'newGame');
+		assert.equal(state.winnerAnnouncement, 'The game ends in a tie.');
+		assert.equal(scoreboardState.teams[0].scores.length, 2);
+	});
+
+	test('the leader after the last end wins the game', () => {
+		const { controller, state } = createHarness({
+			baseEnds: 2,
+			currentEndIndex: 1,
+			totals: [1, 2],
+			stones: [inPlay(RED, 1, 0.1), inPlay(RED, 2, 0.2, 0.1)]
+		});
+		controller.scoreCurrentEnd();
+		assert.equal(state.isGameOver, true);
+		assert.equal(state.pendingRoundAction, 'newGame');
+		assert.equal(state.winnerAnnouncement, 'Red wins!');
+	});
+});
+
+describe('getRemainingStones', () => {
+	test('counts the stones each team has not delivered yet', () => {
+		const { controller } = createHarness({
+			stonesPerTeam: 3,
+			stones: [
+				inPlay(RED, 1, 0.5),
+				outOfPlay(RED, 2),
+				unthrown(RED, 3),
+				unthrown(YELLOW, 1),
+				unthrown(YELLOW, 2),
+				unthrown(YELLOW, 3)
+			]
+		});
+		assert.equal(controller.getRemainingStones(RED), 1);
+		assert.equal(controller.getRemainingStones(YELLOW), 3);
+		assert.equal(controller.areAllThrowsCompleted(), false);
+	});
+
+	test('the end is complete once every stone has been delivered', () => {
+		const { controller } = createHarness({
+			stonesPerTeam: 2,
+			stones: [inPlay(RED, 1, 0.5), outOfPlay(RED, 2), outOfPlay(YELLOW, 1), inPlay(YELLOW, 2, 3)]
+		});
+		assert.equal(controller.getRemainingStones(RED), 0);
+		assert.equal(controller.getRemainingStones(YELLOW), 0);
+		assert.equal(controller.areAllThrowsCompleted(), true);
+	});
+});
@@ -0,0 +1,145 @@
+/*
+* Curling Game - A curling simulation game
+* Copyright (C) 2025 Barosaurus Software
+*
+* This program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU General Public License as published by
+* the Free Software Foundation, either version 3 of the License, or
+* (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU General Public License for more details.
+*
+* You should have received a copy of the GNU General Public License
+* along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createInputController } from '../wwwroot/js/input.js';
+import { PhysicsEngine } from '../wwwroot/js/physics.js';
+import {
+	GameMode,
+	HOG_LINE_FAR_Y,
+	HOG_LINE_NEAR_Y,
+	LAUNCH_START_Y,
+	MAX_ROTATION_RATE,
+	SHEET_EXTENTS,
+	STONE_RADIUS,
+	STONE_WEIGHT
+} from '../wwwroot/js/constants.js';
+import { StoneColor } from '../wwwroot/js/stone.js';
+
+const DRAW_SPEED = 2.5;
+const POINTER_ID = 1;
+
+function createHarness() {
+	const physicsEngine = new PhysicsEngine({
+		launchY: LAUNCH_START_Y,
+		stoneRadius: STONE_RADIUS,
+		stoneMass: STONE_WEIGHT,
+		hogLineNear: HOG_LINE_NEAR_Y,
+		hogLineFar: HOG_LINE_FAR_Y,
+		sheetExtents: SHEET_EXTENTS
+	});
+	physicsEngine.initializeStones([{ color: StoneColor.RED, number: 1, position: { x: 0, y: SHEET_EXTENTS.yMin } }]);
+	const state = { lastLaunchedStoneKey: null, throwIndex: 0, violations: [], rotations: [] };
+	const getStoneKey = (stone) => `${stone.color}:${stone.number}`;
+	const canvas = {
+		width: 400,
+		height: 800,
+		getBoundingClientRect: () => ({ left: 0, top: 0, width: 400, height: 800 })
+	};
+	const inputController = createInputController({
+		canvas,
+		camera: { x: 0, y: 0 },
+		gameMode: GameMode,
+		getCurrentMode: () => GameMode.TWO_PLAYER,
+		isMenuVisible: () => false,
+		getPendingRoundAction: () => null,
+		getMinimapHidden: () => false,
+		isPointInMinimap: () => false,
+		getReadyStoneKey: () => null,
+		setReadyStoneKey: () => {},
+		getCurrentThrowIndex: () => state.throwIndex,
+		setCurrentThrowIndex: (value) => {
+			state.throwIndex = value;
+		},
+		setNextTeamColorPending: () => {},
+		getColorForThrowIndex: () => StoneColor.RED,
+		getStoneByKey: (key) => physicsEngine.getStones().find((stone) => getStoneKey(stone) === key) ?? null,
+		getStoneKey,
+		isStoneAvailable: () => false,
+		launchStartY: LAUNCH_START_Y,
+		hogLineNearY: HOG_LINE_NEAR_Y,
+		stoneRadius: STONE_RADIUS,
+		rotationSwipeReferenceDistance: 1,
+		rotationSwipeReferenceTime: 1,
+		maxRotationRate: MAX_ROTATION_RATE,
+		isEndInProgress: () => true,
+		isGameOver: () => false,
+		isScoringSequenceActive: () => false,
+		isPhysicsRunning: () => physicsEngine.isRunning(),
+		physicsEngine,
+		renderScoreboard: () => {},
+		getLastLaunchedStoneKey: () => state.lastLaunchedStoneKey,
+		setLastLaunchedStoneKey: (value) => {
+			state.lastLaunchedStoneKey = value;
+		},
+		onRotationSwipe: (stone, rotationRate) => state.rotations.push(rotationRate),
+		onHogLineViolation: (stone) => {
+			state.violations.push(getStoneKey(stone));
+			physicsEngine.flagHogLineViolation(stone);
+		}
+	});
+	const stone = inputController.launchStone({
+		stone: physicsEngine.findStone(StoneColor.RED, 1),
+		velocity: { vx: 0, vy: DRAW_SPEED }
+	});
+	return { physicsEngine, inputController, state, stone };
+}
+
+const pointer = (x) => ({ pointerId: POINTER_ID, pointerType: 'mouse', button: 0, clientX: x, clientY: 400 });
+
+function stepUntil(physicsEngine, predicate) {
+	while (!predicate()) {
+		assert.ok(physicsEngine.isRunning(), 'stone settled first');
+		physicsEngine.step(physicsEngine.fixedTimeStep);
+	}
+}
+
+describe('rotation swipe', () => {
+	test('releasing the swipe after the near hog line flags a violation', () => {
+		const { physicsEngine, inputController, state, stone } = createHarness();
+		inputController.onPointerDown(pointer(100));
+		stepUntil(physicsEngine, () => stone.position.y >= HOG_LINE_NEAR_Y);
+		inputController.onPointerUp(pointer(300));
+		assert.deepEqual(state.violations, ['red:1']);
+		assert.deepEqual(state.rotations, []);
+		assert.equal(stone.hogLineViolation, true);
+		assert.equal(stone.isOut, true);
+	});
+
+	test('releasing the swipe before the near hog line applies rotation', () => {
+		const { physicsEngine, inputController, state, stone } = createHarness();
+		inputController.onPointerDown(pointer(100));
+		physicsEngine.step(physicsEngine.fixedTimeStep);
+		inputController.onPointerUp(pointer(300));
+		assert.deepEqual(state.violations, []);
+		assert.equal(state.rotations.length, 1);
+		assert.ok(stone.rotationRate > 0);
+		assert.equal(stone.isOut, false);
+	});
+
+	test('leaving the canvas cancels the swipe', () => {
+		const { physicsEngine, inputController, state, stone } = createHarness();
+		inputController.onPointerDown(pointer(100));
+		stepUntil(physicsEngine, () => stone.position.y >= HOG_LINE_NEAR_Y);
+		inputController.onPointerLeave(pointer(300));
+		inputController.onPointerUp(pointer(300));
+		assert.deepEqual(state.violations, []);
+		assert.deepEqual(state.rotations, []);
+		assert.equal(stone.isOut, false);
+	});
+});
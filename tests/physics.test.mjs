@@ -0,0 +1,290 @@
+/*
+* Curling Game - A curling simulation game
+* Copyright (C) 2025 Barosaurus Software
+*
+* This program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU General Public License as published by
+* the Free Software Foundation, either version 3 of the License, or
+* (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU General Public License for more details.
+*
+* You should have received a copy of the GNU General Public License
+* along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PhysicsEngine } from '../wwwroot/js/physics.js';
+import { runCollisionBenchmarks } from '../wwwroot/js/collisionBenchmark.js';
+import {
+	BACK_LINE_NEAR_Y,
+	BACK_LINE_Y,
+	HOG_LINE_FAR_Y,
+	HOG_LINE_NEAR_Y,
+	LAUNCH_START_Y,
+	SHEET_EXTENTS,
+	STONE_RADIUS,
+	STONE_WEIGHT
+} from '../wwwroot/js/constants.js';
+import { StoneColor } from '../wwwroot/js/stone.js';
+
+const DRAW_SPEED = 2.5;
+const MAX_SECONDS = 60;
+
+function createEngine(options = {}) {
+	const engine = new PhysicsEngine({
+		launchY: LAUNCH_START_Y,
+		stoneRadius: STONE_RADIUS,
+		stoneMass: STONE_WEIGHT,
+		backLineNear: BACK_LINE_NEAR_Y,
+		hogLineNear: HOG_LINE_NEAR_Y,
+		hogLineFar: HOG_LINE_FAR_Y,
+		sheetExtents: SHEET_EXTENTS,
+		backLineY: BACK_LINE_Y,
+		...options
+	});
+	engine.initializeStones([
+		{ color: StoneColor.RED, number: 1, position: { x: 0, y: SHEET_EXTENTS.yMin } },
+		{ color: StoneColor.YELLOW, number: 1, position: { x: 0, y: SHEET_EXTENTS.yMin } }
+	]);
+	return engine;
+}
+
+function deliver(engine, { speed = DRAW_SPEED, angle = 0, rotationRate = 0 } = {}) {
+	const stone = engine.throwStone({
+		color: StoneColor.RED,
+		number: 1,
+		velocity: { vx: Math.sin(angle) * speed, vy: Math.cos(angle) * speed },
+		rotationRadiansPerSecond: rotationRate
+	});
+	let elapsed = 0;
+	while (engine.isRunning() && elapsed < MAX_SECONDS) {
+		engine.step(engine.fixedTimeStep);
+		elapsed += engine.fixedTimeStep;
+	}
+	assert.equal(engine.isRunning(), false, 'stone did not settle');
+	return stone;
+}
+
+function placeMovingStone(engine, color, { x, y, vx = 0, vy = 0 }) {
+	const stone = engine.findStone(color, 1);
+	stone.position = { x, y };
+	stone.velocity = { vx, vy };
+	stone.rotationActivated = true;
+	stone.isLaunched = true;
+	return stone;
+}
+
+describe('draw weight', () => {
+	test('a straight draw at draw weight stops on the tee', () => {
+		const stone = deliver(createEngine());
+		assert.equal(stone.isOut, false);
+		assert.equal(stone.position.x, 0);
+		assert.ok(Math.abs(stone.position.y) < 0.25, `stopped at y=${stone.position.y}`);
+	});
+
+	test('stopping distance grows with launch speed', () => {
+		const light = deliver(createEngine(), { speed: DRAW_SPEED - 0.1 });
+		const draw = deliver(createEngine());
+		assert.equal(light.isOut, false);
+		assert.ok(light.position.y > HOG_LINE_FAR_Y);
+		assert.ok(light.position.y < draw.position.y - 1);
+	});
+
+	test('simulateShot agrees with stepping the engine', () => {
+		const engine = createEngine();
+		const { thrownStone } = engine.simulateShot({ color: StoneColor.RED, number: 1, launchSpeed: DRAW_SPEED });
+		const stone = deliver(engine);
+		assert.equal(thrownStone.position.x, stone.position.x);
+		assert.equal(thrownStone.position.y, stone.position.y);
+	});
+
+	test('simulateShotInSteps yields every chunk and matches simulateShot', () => {
+		const engine = createEngine();
+		const shot = { color: StoneColor.RED, number: 1, launchSpeed: DRAW_SPEED, stepsPerYield: 240 };
+		const simulation = engine.simulateShotInSteps(shot);
+		let yields = 0;
+		let result = simulation.next();
+		while (!result.done) {
+			yields += 1;
+			result = simulation.next();
+		}
+		const { thrownStone } = engine.simulateShot(shot);
+		assert.ok(yields > 10, `yielded ${yields} times`);
+		assert.deepEqual(result.value.thrownStone.position, thrownStone.position);
+	});
+});
+
+describe('curl', () => {
+	test('positive rotation curls toward +x', () => {
+		const stone = deliver(createEngine(), { rotationRate: 1.5 });
+		assert.equal(stone.isOut, false);
+		assert.ok(stone.position.x > 0.5, `curled to x=${stone.position.x}`);
+	});
+
+	test('negative rotation mirrors positive rotation', () => {
+		const clockwise = deliver(createEngine(), { rotationRate: 1.5 });
+		const counterClockwise = deliver(createEngine(), { rotationRate: -1.5 });
+		assert.ok(counterClockwise.position.x < -0.5);
+		assert.ok(Math.abs(clockwise.position.x + counterClockwise.position.x) < 1e-9);
+		assert.ok(Math.abs(clockwise.position.y - counterClockwise.position.y) < 1e-9);
+	});
+
+	test('rotation only starts two feet before the near hog line', () => {
+		const engine = createEngine();
+		const stone = engine.throwStone({
+			color: StoneColor.RED,
+			number: 1,
+			velocity: { vx: 0, vy: DRAW_SPEED },
+			rotationRadiansPerSecond: 1.5
+		});
+		while (stone.position.y < HOG_LINE_NEAR_Y - 1) {
+			engine.step(engine.fixedTimeStep);
+		}
+		assert.equal(stone.rotationRate, 0);
+		assert.equal(stone.position.x, 0);
+		while (stone.position.y < HOG_LINE_NEAR_Y) {
+			engine.step(engine.fixedTimeStep);
+		}
+		assert.ok(stone.rotationRate > 0);
+	});
+});
+
+describe('hog lines', () => {
+	test('a delivery reports the near hog crossing and the hog-to-hog split', () => {
+		const nearCrossings = [];
+		const splits = [];
+		const engine = createEngine({
+			onHogNearCross: (durationMs) => nearCrossings.push(durationMs),
+			onHogSplit: (durationMs) => splits.push(durationMs)
+		});
+		const stone = deliver(engine);
+		assert.equal(nearCrossings.length, 1);
+		assert.ok(nearCrossings[0] > 0);
+		assert.equal(splits.length, 1);
+		assert.equal(splits[0], stone.hogTiming.farCrossedAt - stone.hogTiming.nearCrossedAt);
+		assert.ok(splits[0] > 10000 && splits[0] < 20000, `split was ${splits[0]} ms`);
+	});
+
+	test('a stone that stops short of the far hog line is removed', () => {
+		const outs = [];
+		const splits = [];
+		const engine = createEngine({
+			onStoneOut: (stone, reason) => outs.push(reason),
+			onHogSplit: (durationMs) => splits.push(durationMs)
+		});
+		const stone = deliver(engine, { speed: 2 });
+		assert.equal(stone.isOut, true);
+		assert.deepEqual(outs, ['hog']);
+		assert.equal(splits.length, 0);
+		assert.equal(stone.hogTiming.farCrossedAt, null);
+	});
+
+	test('a flagged release violation removes the stone', () => {
+		const outs = [];
+		const engine = createEngine({ onStoneOut: (stone, reason) => outs.push(reason) });
+		const stone = engine.throwStone({ color: StoneColor.RED, number: 1, velocity: { vx: 0, vy: DRAW_SPEED } });
+		engine.step(engine.fixedTimeStep);
+		engine.flagHogLineViolation(stone);
+		assert.equal(stone.hogLineViolation, true);
+		assert.equal(stone.isOut, true);
+		assert.equal(stone.isLaunched, false);
+		assert.deepEqual(outs, ['hogLineViolation']);
+	});
+});
+
+describe('out of bounds', () => {
+	test('a stone crossing the side line is removed to the out tray', () => {
+		const outs = [];
+		const slot = { x: SHEET_EXTENTS.xMax - 0.2, y: SHEET_EXTENTS.yMax - 0.2 };
+		const engine = createEngine({ onStoneOut: (stone, reason) => outs.push(reason) });
+		engine.setOutTrayLayouts({ [StoneColor.RED]: [slot] });
+		const stone = deliver(engine, { angle: 0.08 });
+		assert.equal(stone.isOut, true);
+		assert.deepEqual(outs, ['outOfBounds']);
+		assert.deepEqual(stone.position, slot);
+		assert.deepEqual(stone.velocity, { vx: 0, vy: 0 });
+	});
+
+	test('a stone past the back line is removed', () => {
+		const outs = [];
+		const engine = createEngine({ onStoneOut: (stone, reason) => outs.push(reason) });
+		const stone = deliver(engine, { speed: 3 });
+		assert.equal(stone.isOut, true);
+		assert.deepEqual(outs, ['outOfBounds']);
+	});
+
+	test('arena boards bounce the stone back into play', () => {
+		const boardHits = [];
+		const engine = createEngine({
+			boundaryMode: 'arena',
+			onBoardCollision: (speed) => boardHits.push(speed)
+		});
+		const stone = deliver(engine, { angle: 0.08 });
+		assert.ok(boardHits.length > 0);
+		assert.equal(stone.touchedBoard, true);
+		assert.equal(stone.isOut, false);
+		assert.ok(stone.position.x < SHEET_EXTENTS.xMax - STONE_RADIUS + 1e-9);
+	});
+
+	test('the board contact rule removes a stone that touched the boards', () => {
+		const outs = [];
+		const engine = createEngine({
+			boundaryMode: 'arena',
+			arenaOutRule: 'boardContact',
+			onStoneOut: (stone, reason) => outs.push(reason)
+		});
+		const stone = deliver(engine, { angle: 0.08 });
+		assert.equal(stone.isOut, true);
+		assert.deepEqual(outs, ['board']);
+	});
+});
+
+describe('collisions', () => {
+	test('a head-on hit conserves momentum and passes it to the struck stone', () => {
+		const collisions = [];
+		const engine = createEngine({
+			frictionBaseline: 0,
+			frictionSpeedFactor: 0,
+			curlAsymmetry: 0,
+			onStoneCollision: (speed) => collisions.push(speed)
+		});
+		const shooter = placeMovingStone(engine, StoneColor.RED, { x: 0, y: -1, vy: 2 });
+		const target = placeMovingStone(engine, StoneColor.YELLOW, { x: 0, y: 0 });
+		engine.isActive = true;
+		for (let index = 0; index < 240; index += 1) {
+			engine.step(engine.fixedTimeStep);
+		}
+		assert.equal(collisions.length, 1);
+		const momentum = STONE_WEIGHT * (shooter.velocity.vy + target.velocity.vy);
+		assert.ok(Math.abs(momentum - STONE_WEIGHT * 2) < 1e-9);
+		assert.ok(Math.abs(shooter.velocity.vx + target.velocity.vx) < 1e-9);
+		assert.ok(Math.abs(target.velocity.vy - 1.9) < 1e-6, `struck stone moves at ${target.velocity.vy}`);
+		assert.ok(Math.abs(shooter.velocity.vy - 0.1) < 1e-6, `shooter moves at ${shooter.velocity.vy}`);
+	});
+
+	test('a glancing hit sends the stones apart on both sides', () => {
+		const engine = createEngine({ frictionBaseline: 0, frictionSpeedFactor: 0, curlAsymmetry: 0 });
+		const shooter = placeMovingStone(engine, StoneColor.RED, { x: STONE_RADIUS, y: -1, vy: 2 });
+		const target = placeMovingStone(engine, StoneColor.YELLOW, { x: 0, y: 0 });
+		engine.isActive = true;
+		for (let index = 0; index < 240; index += 1) {
+			engine.step(engine.fixedTimeStep);
+		}
+		assert.ok(shooter.velocity.vx > 0);
+		assert.ok(target.velocity.vx < 0);
+		const momentumX = STONE_WEIGHT * (shooter.velocity.vx + target.velocity.vx);
+		const momentumY = STONE_WEIGHT * (shooter.velocity.vy + target.velocity.vy);
+		assert.ok(Math.abs(momentumX) < 1e-9);
+		assert.ok(Math.abs(momentumY - STONE_WEIGHT * 2) < 1e-9);
+	});
+
+	test('every collision benchmark scene passes', () => {
+		for (const result of runCollisionBenchmarks()) {
+			assert.ok(result.passed, `${result.scene} (${result.material}) failed`);
+		}
+	});
+});
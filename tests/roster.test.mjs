@@ -0,0 +1,94 @@
+/*
+* Curling Game - A curling simulation game
+* Copyright (C) 2025 Barosaurus Software
+*
+* This program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU General Public License as published by
+* the Free Software Foundation, either version 3 of the License, or
+* (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU General Public License for more details.
+*
+* You should have received a copy of the GNU General Public License
+* along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRosterController } from '../wwwroot/js/roster.js';
+import { ROSTER_POSITIONS } from '../wwwroot/js/constants.js';
+import { StoneColor } from '../wwwroot/js/stone.js';
+
+const { RED, YELLOW } = StoneColor;
+
+const createStone = (color, number, { isLaunched = false, isOut = false } = {}) => ({
+	color,
+	number,
+	isLaunched,
+	isOut,
+	hogTiming: { nearCrossedAt: 1000, farCrossedAt: 11000 }
+});
+
+function createHarness(stones) {
+	const rosterController = createRosterController({
+		scoreboardState: {
+			teams: [
+				{ stoneColor: RED, name: 'Red' },
+				{ stoneColor: YELLOW, name: 'Yellow' }
+			]
+		},
+		physicsEngine: {
+			getStones: () => stones,
+			findStone: (color, number) => stones.find((stone) => stone.color === color && stone.number === number)
+		},
+		rosterPositions: ROSTER_POSITIONS,
+		getRosterNames: () => ({}),
+		isRosterMode: () => true,
+		getStonesPerTeam: () => 8
+	});
+	rosterController.reset();
+	return rosterController;
+}
+
+function throwStone(rosterController, stone, result) {
+	rosterController.startThrow(stone, 0);
+	Object.assign(stone, { isLaunched: true }, result);
+	rosterController.finishThrow();
+	return rosterController.getState()[`${stone.color}:lead`];
+}
+
+describe('shot percentage', () => {
+	test('a stone that stays in play is a made shot', () => {
+		const stone = createStone(RED, 1);
+		const entry = throwStone(createHarness([stone]), stone, { isOut: false });
+		assert.deepEqual(entry, { throws: 1, made: 1, splitTotalMs: 10000, splitCount: 1 });
+	});
+
+	test('a stone that goes out without removing anything is a miss', () => {
+		const stone = createStone(RED, 1);
+		const guard = createStone(YELLOW, 1, { isLaunched: true });
+		const entry = throwStone(createHarness([stone, guard]), stone, { isLaunched: false, isOut: true });
+		assert.equal(entry.throws, 1);
+		assert.equal(entry.made, 0);
+	});
+
+	test('removing an opponent stone is a made shot even if the shooter rolls out', () => {
+		const stone = createStone(RED, 1);
+		const target = createStone(YELLOW, 1, { isLaunched: true });
+		const rosterController = createHarness([stone, target]);
+		rosterController.startThrow(stone, 0);
+		Object.assign(stone, { isLaunched: false, isOut: true });
+		Object.assign(target, { isLaunched: false, isOut: true });
+		rosterController.finishThrow();
+		assert.equal(rosterController.getState()['red:lead'].made, 1);
+	});
+
+	test('the player row reports the shot percentage', () => {
+		const stone = createStone(RED, 1);
+		const rosterController = createHarness([stone]);
+		throwStone(rosterController, stone, { isOut: false });
+		assert.equal(rosterController.getPlayerRows()[0].value, '100% shot · 10.00 s');
+	});
+});
@@ -0,0 +1,306 @@
+const AI_THINK_DELAY_MS = 1400;
+const AI_ROTATION_RATE = 1.5;
+const AI_MAX_SIMULATION_SECONDS = 45;
+const AI_DRAW_SPEED_STEP = 0.05;
+const AI_TAKEOUT_SPEED = 3.1;
+const AI_GUARD_DISTANCE = 4.5;
+const AI_SPEED_ERROR = 0.003;
+const AI_AIM_ERROR = 0.0015;
+const AI_PLANNING_BUDGET_MS = 6;
+// A planning frame overruns the budget by at most one chunk: half a second of simulated time.
+const AI_SIMULATION_STEPS_PER_YIELD = 120;
+
+export function createAIController(config) {
+	let readySince = null;
+	let planner = null;
+	let plannedShot = null;
+	const drawTables = new Map();
+	let drawTableIce = null;
+	let drawTableIceRevision = null;
+
+	const getAIColor = () => config.aiColor;
+
+	const getOpponentColor = () =>
+		config.aiColor === config.StoneColor.RED ? config.StoneColor.YELLOW : config.StoneColor.RED;
+
+	const isAITurn = () =>
+		config.getCurrentMode() === config.GameMode.AI &&
+		config.getActiveTeamColor() === config.aiColor;
+
+	const clearPlan = () => {
+		readySince = null;
+		planner = null;
+		plannedShot = null;
+	};
+
+	const reset = () => {
+		clearPlan();
+		drawTables.clear();
+	};
+
+	const isInPlay = (stone) => stone.isLaunched && !stone.isOut;
+
+	function* simulateThrow(stones, shot) {
+		return yield* config.physicsEngine.simulateShotInSteps({
+			stones,
+			color: shot.color,
+			number: shot.number,
+			launchSpeed: shot.speed,
+			direction: { x: Math.sin(shot.angle), y: Math.cos(shot.angle) },
+			rotationRate: shot.rotationRate,
+			maxSeconds: AI_MAX_SIMULATION_SECONDS,
+			stepsPerYield: AI_SIMULATION_STEPS_PER_YIELD
+		});
+	}
+
+	function* getDrawTable(rotationRate) {
+		const ice = config.physicsEngine.iceSurface ?? null;
+		const iceRevision = ice?.revision ?? null;
+		if (ice !== drawTableIce || iceRevision !== drawTableIceRevision) {
+			drawTables.clear();
+			drawTableIce = ice;
+			drawTableIceRevision = iceRevision;
+		}
+		if (drawTables.has(rotationRate)) {
+			return drawTables.get(rotationRate);
+		}
+		const table = [];
+		const probe = [{ color: config.aiColor, number: 0, position: { x: 0, y: config.launchStartY }, isLaunched: false, isOut: false }];
+		for (let speed = config.minThrowSpeed; speed <= config.maxThrowSpeed; speed += AI_DRAW_SPEED_STEP) {
+			const { thrownStone: thrown, outs } = yield* simulateThrow(probe, {
+				color: config.aiColor,
+				number: 0,
+				speed,
+				angle: 0,
+				rotationRate
+			});
+			yield;
+			if (thrown.isOut) {
+				if (outs.some((entry) => entry.reason === 'hog')) {
+					continue;
+				}
+				break;
+			}
+			const dx = thrown.position.x;
+			const dy = thrown.position.y - config.launchStartY;
+			table.push({ speed, distance: Math.hypot(dx, dy), heading: Math.atan2(dx, dy) });
+		}
+		drawTables.set(rotationRate, table);
+		return table;
+	}
+
+	function* solveDraw(target, rotationRate) {
+		const table = yield* getDrawTable(rotationRate);
+		const dx = target.x;
+		const dy = target.y - config.launchStartY;
+		const distance = Math.hypot(dx, dy);
+		for (let i = 1; i < table.length; i += 1) {
+			const previous = table[i - 1];
+			const entry = table[i];
+			if (previous.distance <= distance && entry.distance >= distance) {
+				const span = entry.distance - previous.distance;
+				const t = span > 0 ? (distance - previous.distance) / span : 0;
+				const speed = Math.sqrt(previous.speed ** 2 + (entry.speed ** 2 - previous.speed ** 2) * t);
+				const heading = previous.heading + (entry.heading - previous.heading) * t;
+				return { speed, angle: Math.atan2(dx, dy) - heading, rotationRate };
+			}
+		}
+		return null;
+	}
+
+	function* solveTakeout(target, rotationRate) {
+		const probe = [{ color: config.aiColor, number: 0, position: { x: 0, y: config.launchStartY }, isLaunched: false, isOut: false }];
+		const { path } = yield* simulateThrow(probe, {
+			color: config.aiColor,
+			number: 0,
+			speed: AI_TAKEOUT_SPEED,
+			angle: 0,
+			rotationRate
+		});
+		yield;
+		const dx = target.x;
+		const dy = target.y - config.launchStartY;
+		const distance = Math.hypot(dx, dy);
+		const sample = path.find(
+			(point) => Math.hypot(point.x, point.y - config.launchStartY) >= distance
+		);
+		if (!sample) {
+			return null;
+		}
+		const heading = Math.atan2(sample.x, sample.y - config.launchStartY);
+		return { speed: AI_TAKEOUT_SPEED, angle: Math.atan2(dx, dy) - heading, rotationRate };
+	}
+
+	const getHouseRanking = (stones) => {
+		const scoringRadius = config.houseRadius + config.stoneRadius;
+		return stones
+			.filter(isInPlay)
+			.map((stone) => ({ stone, distance: Math.hypot(stone.position.x, stone.position.y) }))
+			.filter((entry) => entry.distance <= scoringRadius)
+			.sort((a, b) => a.distance - b.distance);
+	};
+
+	const isGuard = (stone) =>
+		isInPlay(stone) &&
+		stone.position.y >= config.hogLineFarY &&
+		stone.position.y < 0 &&
+		Math.hypot(stone.position.x, stone.position.y) > config.houseRadius + config.stoneRadius;
+
+	const evaluatePosition = (stones, isLastStone) => {
+		const ranking = getHouseRanking(stones);
+		let value = 0;
+		if (ranking.length > 0) {
+			const leader = ranking[0].stone.color;
+			let count = 0;
+			while (count < ranking.length && ranking[count].stone.color === leader) {
+				count += 1;
+			}
+			const sign = leader === config.aiColor ? 1 : -1;
+			value += sign * count * 10;
+			const scoringRadius = config.houseRadius + config.stoneRadius;
+			value += sign * (scoringRadius - ranking[0].distance) / scoringRadius;
+		}
+		if (!isLastStone) {
+			stones.filter(isGuard).forEach((stone) => {
+				value += stone.color === config.aiColor ? 1.5 : -1.5;
+			});
+		}
+		return value;
+	};
+
+	const buildCandidates = (stones) => {
+		const candidates = [
+			{ type: 'draw', target: { x: 0, y: 0 } },
+			{ type: 'draw', target: { x: 0, y: -config.houseRadius * 0.4 } },
+			{ type: 'draw', target: { x: config.houseRadius * 0.4, y: -config.houseRadius * 0.2 } },
+			{ type: 'draw', target: { x: -config.houseRadius * 0.4, y: -config.houseRadius * 0.2 } },
+			{ type: 'guard', target: { x: 0, y: -AI_GUARD_DISTANCE } }
+		];
+		const ranking = getHouseRanking(stones);
+		const shot = ranking[0]?.stone ?? null;
+		if (shot && shot.color === config.aiColor) {
+			candidates.push({ type: 'guard', target: { x: shot.position.x, y: -AI_GUARD_DISTANCE } });
+		}
+		if (shot && shot.color === getOpponentColor()) {
+			candidates.push({
+				type: 'freeze',
+				target: { x: shot.position.x, y: shot.position.y - config.stoneRadius * 2 - 0.01 }
+			});
+		}
+		stones
+			.filter((stone) => isInPlay(stone) && stone.color === getOpponentColor())
+			.forEach((stone) => {
+				candidates.push({ type: 'takeout', target: { ...stone.position } });
+			});
+		return candidates;
+	};
+
+	function* planShot(stone) {
+		const stones = config.physicsEngine.getStones();
+		const throwsPerEnd = config.getStonesPerTeam() * 2;
+		const isLastStone = config.getCurrentThrowIndex() >= throwsPerEnd - 1;
+		const candidates = buildCandidates(stones);
+		const protectedGuardKeys = config.getProtectedGuardKeys(stone.color);
+		let best = null;
+		for (const candidate of candidates) {
+			for (const rotationRate of [AI_ROTATION_RATE, -AI_ROTATION_RATE]) {
+				const solution = candidate.type === 'takeout'
+					? yield* solveTakeout(candidate.target, rotationRate)
+					: yield* solveDraw(candidate.target, rotationRate);
+				if (!solution) {
+					continue;
+				}
+				const outcome = yield* simulateThrow(stones, {
+					color: stone.color,
+					number: stone.number,
+					...solution
+				});
+				yield;
+				const removesGuard = outcome.stones.some(
+					(entry) => entry.isOut && protectedGuardKeys.includes(`${entry.color}:${entry.number}`)
+				);
+				if (removesGuard) {
+					continue;
+				}
+				const value = evaluatePosition(outcome.stones, isLastStone);
+				if (!best || value > best.value) {
+					best = { ...candidate, ...solution, value };
+				}
+			}
+		}
+		return best;
+	}
+
+	const advancePlanner = () => {
+		const deadline = performance.now() + AI_PLANNING_BUDGET_MS;
+		while (planner && performance.now() < deadline) {
+			const step = planner.next();
+			if (step.done) {
+				plannedShot = step.value;
+				planner = null;
+			}
+		}
+	};
+
+	const launchPlannedShot = (stone) => {
+		const shot = plannedShot ?? {
+			type: 'draw',
+			speed: (config.minThrowSpeed + config.maxThrowSpeed) / 2,
+			angle: 0,
+			rotationRate: AI_ROTATION_RATE
+		};
+		const speed = shot.speed * (1 + (Math.random() * 2 - 1) * AI_SPEED_ERROR);
+		const angle = shot.angle + (Math.random() * 2 - 1) * AI_AIM_ERROR;
+		config.launchStone({
+			stone,
+			velocity: {
+				vx: Math.sin(angle) * speed,
+				vy: Math.cos(angle) * speed
+			},
+			rotationRadiansPerSecond: Math.max(
+				-config.maxRotationRate,
+				Math.min(config.maxRotationRate, shot.rotationRate)
+			)
+		});
+	};
+
+	const update = (timestamp) => {
+		if (!isAITurn()) {
+			clearPlan();
+			return;
+		}
+		if (
+			!config.isEndInProgress() ||
+			config.isGameOver() ||
+			config.isScoringSequenceActive() ||
+			config.isPhysicsRunning() ||
+			config.getPendingRoundAction()
+		) {
+			clearPlan();
+			return;
+		}
+		const stone = config.getStoneByKey(config.getReadyStoneKey());
+		if (!stone || stone.color !== config.aiColor || !config.isStoneAvailable(stone)) {
+			clearPlan();
+			return;
+		}
+		if (readySince == null) {
+			readySince = timestamp;
+			planner = planShot(stone);
+			return;
+		}
+		advancePlanner();
+		if (planner || timestamp - readySince < AI_THINK_DELAY_MS) {
+			return;
+		}
+		launchPlannedShot(stone);
+		clearPlan();
+	};
+
+	return {
+		getAIColor,
+		isAITurn,
+		reset,
+		update
+	};
+}
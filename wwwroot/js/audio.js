@@ -42,7 +42,7 @@ export function createAudioManager({ getStoneKey, getLastLaunchedStoneKey } = {}
 		if (!getStoneKey || !getLastLaunchedStoneKey) {
 			return;
 		}
-		if ((reason === 'outOfBounds' || reason === 'hog') && getStoneKey(stone) === getLastLaunchedStoneKey()) {
+		if (['outOfBounds', 'hog', 'board', 'hogLineViolation'].includes(reason) && getStoneKey(stone) === getLastLaunchedStoneKey()) {
 			if (!launchSound.paused) {
 				launchSound.pause();
 				launchSound.currentTime = 0;
@@ -21,6 +21,7 @@ let maxZoom = 1;
 let minZoom = 0.5;
 let cameraFollowStone = null;
 let minimapPeekPreviousZoom = null;
+let housePreviousZoom = null;
 
 export function configureCamera(config) {
 	if (!config) {
@@ -220,6 +221,30 @@ export function setCameraToEndLineTop(backLineY, hogLineFarY) {
 	clampCameraPosition({ allowBeyondBottom: true, allowBeyondTop: true });
 }
 
+export function setCameraToHouse(houseRadius, marginMeters = 0) {
+	if (!canvas) {
+		return;
+	}
+	clearCameraFollowStone();
+	if (housePreviousZoom == null) {
+		housePreviousZoom = camera.zoom;
+	}
+	const span = (houseRadius + marginMeters) * 2;
+	const targetDisplayScale = span > 0 ? Math.min(canvas.width, canvas.height) / span : displayScale;
+	setCameraZoom(targetDisplayScale / baseScale);
+	camera.y = 0;
+	clampCameraPosition({ allowBeyondBottom: true, allowBeyondTop: true });
+}
+
+export function restoreCameraFromHouse() {
+	if (housePreviousZoom == null) {
+		return;
+	}
+	setCameraZoom(housePreviousZoom);
+	housePreviousZoom = null;
+	clampCameraPosition();
+}
+
 export function setCameraToHackView(nearHackCenter) {
 	if (!canvas) {
 		return;
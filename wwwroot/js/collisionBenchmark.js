@@ -0,0 +1,198 @@
+/*
+* Curling Game - A curling simulation game
+* Copyright (C) 2025 Barosaurus Software
+*
+* This program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU General Public License as published by
+* the Free Software Foundation, either version 3 of the License, or
+* (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU General Public License for more details.
+*
+* You should have received a copy of the GNU General Public License
+* along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+import { PhysicsEngine } from './physics.js';
+import { STONE_RADIUS, STONE_WEIGHT } from './constants.js';
+import { StoneColor } from './stone.js';
+
+const BENCHMARK_TIME_STEP = 1 / 240;
+const BENCHMARK_DURATION_SECONDS = 1.5;
+const DEFAULT_MOMENTUM_TOLERANCE = 1e-6;
+const DEFAULT_ENERGY_TOLERANCE = 0.01;
+const CONTACT = STONE_RADIUS * 2;
+
+const ELASTIC = Object.freeze({ label: 'elastic', restitution: 1, friction: 0 });
+const GAME = Object.freeze({ label: 'game', restitution: 0.9, friction: 0.1 });
+
+const stone = (color, number, x, y, vx = 0, vy = 0, rotationRate = 0) => ({
+  color,
+  number,
+  x,
+  y,
+  vx,
+  vy,
+  rotationRate
+});
+
+export const COLLISION_BENCHMARK_SCENES = Object.freeze([
+  {
+    name: 'Head-on takeout',
+    stones: [
+      stone(StoneColor.RED, 1, 0, -1, 0, 2.5),
+      stone(StoneColor.YELLOW, 1, 0, 0)
+    ]
+  },
+  {
+    name: 'Half-stone hit with in-turn',
+    stones: [
+      stone(StoneColor.RED, 1, STONE_RADIUS, -1, 0, 2, 1.5),
+      stone(StoneColor.YELLOW, 1, 0, 0)
+    ]
+  },
+  {
+    name: 'Thin hit with out-turn',
+    stones: [
+      stone(StoneColor.RED, 1, -CONTACT * 0.85, -1, 0, 3, -1.5),
+      stone(StoneColor.YELLOW, 1, 0, 0)
+    ]
+  },
+  {
+    name: 'Chain raise',
+    stones: [
+      stone(StoneColor.RED, 1, 0, -1.5, 0, 1.5),
+      stone(StoneColor.RED, 2, 0, -0.5),
+      stone(StoneColor.YELLOW, 1, 0, -0.5 + CONTACT),
+      stone(StoneColor.YELLOW, 2, 0, -0.5 + CONTACT * 2)
+    ]
+  },
+  {
+    name: 'Angled chain raise',
+    stones: [
+      stone(StoneColor.RED, 1, 0.05, -1.5, 0, 1.8, 1),
+      stone(StoneColor.RED, 2, 0, -0.5),
+      stone(StoneColor.YELLOW, 1, CONTACT * 0.3, -0.5 + CONTACT * Math.sqrt(1 - 0.09))
+    ]
+  },
+  {
+    name: 'Double takeout of touching stones',
+    stones: [
+      stone(StoneColor.RED, 1, 0, -1, 0, 3),
+      stone(StoneColor.YELLOW, 1, -STONE_RADIUS, 0),
+      stone(StoneColor.YELLOW, 2, STONE_RADIUS, 0)
+    ]
+  },
+  {
+    name: 'Triple takeout',
+    stones: [
+      stone(StoneColor.RED, 1, 0.1, -1.5, 0, 3.5, -1),
+      stone(StoneColor.YELLOW, 1, 0, 0),
+      stone(StoneColor.YELLOW, 2, -0.35, 0.25),
+      stone(StoneColor.YELLOW, 3, 0.15, 0.8)
+    ]
+  },
+  {
+    name: 'Cluster in the house',
+    stones: [
+      stone(StoneColor.RED, 1, -0.05, -1.5, 0, 3, 1.2),
+      stone(StoneColor.YELLOW, 1, 0, 0),
+      stone(StoneColor.YELLOW, 2, -CONTACT, 0),
+      stone(StoneColor.YELLOW, 3, CONTACT, 0),
+      stone(StoneColor.RED, 2, -STONE_RADIUS, CONTACT * Math.sin(Math.PI / 3)),
+      stone(StoneColor.RED, 3, STONE_RADIUS, CONTACT * Math.sin(Math.PI / 3))
+    ]
+  },
+  {
+    name: 'Two moving stones meeting',
+    stones: [
+      stone(StoneColor.RED, 1, -0.6, -0.6, 1, 1, 0.5),
+      stone(StoneColor.YELLOW, 1, 0.6, -0.6, -1.2, 1, -0.5)
+    ]
+  }
+]);
+
+function measure(engine) {
+  const mass = engine.stoneMass;
+  const inertia = engine.stoneInertiaFactor * mass * engine.stoneRadius * engine.stoneRadius;
+  let momentumX = 0;
+  let momentumY = 0;
+  let energy = 0;
+  for (const entry of engine.getStones()) {
+    const { vx, vy } = entry.velocity;
+    const omega = entry.rotationRate ?? 0;
+    momentumX += mass * vx;
+    momentumY += mass * vy;
+    energy += 0.5 * mass * (vx * vx + vy * vy) + 0.5 * inertia * omega * omega;
+  }
+  return { momentumX, momentumY, energy };
+}
+
+function runScene(scene, material) {
+  let collisions = 0;
+  const engine = new PhysicsEngine({
+    stoneRadius: STONE_RADIUS,
+    stoneMass: STONE_WEIGHT,
+    frictionBaseline: 0,
+    frictionSpeedFactor: 0,
+    curlAsymmetry: 0,
+    collisionRestitution: material.restitution,
+    collisionFriction: material.friction,
+    fixedTimeStep: BENCHMARK_TIME_STEP,
+    onStoneCollision: () => {
+      collisions += 1;
+    }
+  });
+  engine.initializeStones(
+    scene.stones.map(({ color, number, x, y }) => ({ color, number, position: { x, y } }))
+  );
+  for (const config of scene.stones) {
+    const entry = engine.findStone(config.color, config.number);
+    entry.velocity = { vx: config.vx, vy: config.vy };
+    entry.rotationRate = config.rotationRate;
+    entry.rotationActivated = true;
+    entry.isLaunched = true;
+  }
+  engine.isActive = true;
+
+  const before = measure(engine);
+  const steps = Math.round(BENCHMARK_DURATION_SECONDS / BENCHMARK_TIME_STEP);
+  for (let index = 0; index < steps; index += 1) {
+    engine.step(BENCHMARK_TIME_STEP);
+  }
+  const after = measure(engine);
+  const momentumScale = Math.hypot(before.momentumX, before.momentumY) || 1;
+  return {
+    momentumError:
+      Math.hypot(after.momentumX - before.momentumX, after.momentumY - before.momentumY) / momentumScale,
+    energyRatio: before.energy > 0 ? after.energy / before.energy : 1,
+    collisions
+  };
+}
+
+export function runCollisionBenchmarks({
+  scenes = COLLISION_BENCHMARK_SCENES,
+  momentumTolerance = DEFAULT_MOMENTUM_TOLERANCE,
+  energyTolerance = DEFAULT_ENERGY_TOLERANCE
+} = {}) {
+  const results = [];
+  for (const scene of scenes) {
+    for (const material of [ELASTIC, GAME]) {
+      const { momentumError, energyRatio, collisions } = runScene(scene, material);
+      const energyPassed = material === ELASTIC
+        ? Math.abs(energyRatio - 1) <= energyTolerance
+        : energyRatio <= 1 + energyTolerance;
+      results.push({
+        scene: scene.name,
+        material: material.label,
+        collisions,
+        momentumError,
+        energyRatio,
+        passed: collisions > 0 && momentumError <= momentumTolerance && energyPassed
+      });
+    }
+  }
+  return results;
+}
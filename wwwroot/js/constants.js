@@ -68,6 +68,7 @@ const NEAR_HACK_CENTER = yFromBottom(MEASUREMENTS.hackCenterOffset);
 const NEAR_HACK_TOP = NEAR_HACK_CENTER + (MEASUREMENTS.hackLength / 2);
 const LAUNCH_START_Y = NEAR_HACK_TOP + STONE_RADIUS + 0.05;
 const HOG_LINE_NEAR_Y = yFromBottom(LINE_MARKINGS.hog.distanceFromBottom);
+const BACK_LINE_NEAR_Y = yFromTop(LINE_MARKINGS.back.distanceFromBottom);
 const HOG_LINE_FAR_Y = yFromTop(LINE_MARKINGS.hog.distanceFromBottom);
 const BACK_LINE_Y = yFromBottom(LINE_MARKINGS.back.distanceFromBottom);
 const MINIMAP_Y_MIN = HOG_LINE_FAR_Y;
@@ -92,12 +93,19 @@ const MIN_THROW_SPEED = 2;
 const MAX_ROTATION_RATE = 4;
 const ROTATION_SWIPE_REFERENCE_DISTANCE = 4;
 const ROTATION_SWIPE_REFERENCE_TIME = 1;
+const PRACTICE_ROTATION_RATE = 1.5;
+const GHOST_PATH_MAX_SECONDS = 45;
 const SWEEP_FRICTION_REDUCTION = 0.4;
 const SWEEP_CURL_BOOST = 0.25;
 const SWEEP_MIN_DISTANCE_PX = 8;
 const SWEEP_DIRECTION_RATIO = 1.5;
 const STONE_SCREEN_FRACTION_FROM_BOTTOM = 0.3;
 const TEAM_THINK_TIME_SECONDS = 38 * MINUTES_TO_SECONDS;
+const MULTIPLAYER_RECONNECT_GRACE_SECONDS = 60;
+const MULTIPLAYER_RECONNECT_BASE_DELAY_MS = 1000;
+const MULTIPLAYER_RECONNECT_MAX_DELAY_MS = 8000;
+const MULTIPLAYER_LOCAL_CHANNEL_NAME = 'curling-multiplayer';
+const MULTIPLAYER_LOCAL_RESPONSE_TIMEOUT_MS = 2000;
 
 const SCORE_CAMERA_TARGET_Y = 0;
 const SCORE_CAMERA_LERP = 0.08;
@@ -105,15 +113,59 @@ const SCORE_CAMERA_SETTLE_MS = 450;
 const SCORE_REMOVE_INTERVAL_MS = 320;
 const SCORE_MESSAGE_DURATION_MS = 1600;
 const SCORE_POST_MESSAGE_DELAY_MS = 2000;
+const MEASURE_TIE_TOLERANCE_METERS = 0.001;
+const MEASURE_CLOSE_CALL_METERS = 0.05;
+const MEASURE_HOLD_MS = 2200;
+const MEASURE_HOUSE_MARGIN_METERS = 0.5;
 const EXTRA_END_THINK_TIME_SECONDS = 270;
+const FREE_GUARD_ZONE_THROWS = 5;
+const GAME_END_OPTIONS = Object.freeze([4, 6, 8, 10]);
+const THINK_TIME_OPTIONS_SECONDS = Object.freeze([10, 15, 22, 30, 38].map((minutes) => minutes * MINUTES_TO_SECONDS));
+const STONES_PER_TEAM_OPTIONS = Object.freeze([4, 6, 8]);
+const DEFAULT_ICE_PROFILE = 'standard';
+const ICE_PROFILES = Object.freeze({
+	standard: Object.freeze({ label: 'Standard', frictionMultiplier: 1, curlMultiplier: 1, variation: 0 }),
+	keen: Object.freeze({ label: 'Keen', frictionMultiplier: 0.88, curlMultiplier: 1.15, variation: 0.05 }),
+	heavy: Object.freeze({ label: 'Heavy', frictionMultiplier: 1.15, curlMultiplier: 0.9, variation: 0.05 }),
+	straight: Object.freeze({ label: 'Straight', frictionMultiplier: 1, curlMultiplier: 0.55, variation: 0.04 }),
+	swingy: Object.freeze({ label: 'Swingy', frictionMultiplier: 0.95, curlMultiplier: 1.5, variation: 0.1 })
+});
+const DEFAULT_BOUNDARY_RULE = 'strict';
+const BOUNDARY_RULES = Object.freeze({
+	strict: Object.freeze({ label: 'Out on touching the side lines', boundaryMode: 'strict', arenaOutRule: null }),
+	boardContact: Object.freeze({ label: 'Boards – out after board contact', boundaryMode: 'arena', arenaOutRule: 'boardContact' }),
+	restPosition: Object.freeze({ label: 'Boards – out where it stops', boundaryMode: 'arena', arenaOutRule: 'restPosition' })
+});
+const ROSTER_POSITIONS = Object.freeze([
+	Object.freeze({ key: 'lead', label: 'Lead' }),
+	Object.freeze({ key: 'second', label: 'Second' }),
+	Object.freeze({ key: 'vice', label: 'Vice' }),
+	Object.freeze({ key: 'skip', label: 'Skip' })
+]);
+
+const MIXED_DOUBLES_STONES_PER_TEAM = 6;
+const MIXED_DOUBLES_ENDS = 8;
+const MIXED_DOUBLES_THINK_TIME_SECONDS = 22 * MINUTES_TO_SECONDS;
+const MIXED_DOUBLES_FREE_GUARD_ZONE_THROWS = 3;
+const MIXED_DOUBLES_HOUSE_STONE_Y = MEASUREMENTS.rings.blueOuter - STONE_RADIUS;
+const MIXED_DOUBLES_GUARD_Y = (HOG_LINE_FAR_Y - MEASUREMENTS.rings.redOuter) / 2;
+const MIXED_DOUBLES_POWER_PLAY_X = MEASUREMENTS.rings.redInner;
+const MIXED_DOUBLES_POWER_PLAY_HOUSE_STONE_Y = -STONE_RADIUS;
 
 const GameMode = Object.freeze({
 	MENU: 'menu',
 	PRACTICE: 'practice',
 	TWO_PLAYER: 'twoPlayer',
+	MIXED_DOUBLES: 'mixedDoubles',
 	TUTORIAL: 'tutorial',
 	AI: 'ai',
-	FRIEND: 'friend'
+	FRIEND: 'friend',
+	VIEWER: 'viewer'
+});
+
+const MultiplayerTransport = Object.freeze({
+	SIGNALR: 'signalr',
+	LOCAL: 'local'
 });
 
 export {
@@ -139,6 +191,7 @@ export {
 	NEAR_HACK_TOP,
 	LAUNCH_START_Y,
 	HOG_LINE_NEAR_Y,
+	BACK_LINE_NEAR_Y,
 	HOG_LINE_FAR_Y,
 	BACK_LINE_Y,
 	MINIMAP_Y_MIN,
@@ -160,6 +213,8 @@ export {
 	MAX_ROTATION_RATE,
 	ROTATION_SWIPE_REFERENCE_DISTANCE,
 	ROTATION_SWIPE_REFERENCE_TIME,
+	PRACTICE_ROTATION_RATE,
+	GHOST_PATH_MAX_SECONDS,
 	SWEEP_FRICTION_REDUCTION,
 	SWEEP_CURL_BOOST,
 	SWEEP_MIN_DISTANCE_PX,
@@ -172,6 +227,33 @@ export {
 	SCORE_REMOVE_INTERVAL_MS,
 	SCORE_MESSAGE_DURATION_MS,
 	SCORE_POST_MESSAGE_DELAY_MS,
+	MEASURE_TIE_TOLERANCE_METERS,
+	MEASURE_CLOSE_CALL_METERS,
+	MEASURE_HOLD_MS,
+	MEASURE_HOUSE_MARGIN_METERS,
 	EXTRA_END_THINK_TIME_SECONDS,
-	GameMode
+	FREE_GUARD_ZONE_THROWS,
+	GAME_END_OPTIONS,
+	THINK_TIME_OPTIONS_SECONDS,
+	STONES_PER_TEAM_OPTIONS,
+	DEFAULT_ICE_PROFILE,
+	ICE_PROFILES,
+	DEFAULT_BOUNDARY_RULE,
+	BOUNDARY_RULES,
+	ROSTER_POSITIONS,
+	MULTIPLAYER_RECONNECT_GRACE_SECONDS,
+	MULTIPLAYER_RECONNECT_BASE_DELAY_MS,
+	MULTIPLAYER_RECONNECT_MAX_DELAY_MS,
+	MULTIPLAYER_LOCAL_CHANNEL_NAME,
+	MULTIPLAYER_LOCAL_RESPONSE_TIMEOUT_MS,
+	MIXED_DOUBLES_STONES_PER_TEAM,
+	MIXED_DOUBLES_ENDS,
+	MIXED_DOUBLES_THINK_TIME_SECONDS,
+	MIXED_DOUBLES_FREE_GUARD_ZONE_THROWS,
+	MIXED_DOUBLES_HOUSE_STONE_Y,
+	MIXED_DOUBLES_GUARD_Y,
+	MIXED_DOUBLES_POWER_PLAY_X,
+	MIXED_DOUBLES_POWER_PLAY_HOUSE_STONE_Y,
+	GameMode,
+	MultiplayerTransport
 };
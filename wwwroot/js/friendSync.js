@@ -0,0 +1,252 @@
+const THROW_EVENT_FLUSH_MS = 100;
+const REMOTE_CATCH_UP_STEPS = 48;
+const CHECKSUM_POSITION_SCALE = 1e6;
+
+const getStoneKey = (stone) => `${stone.color}:${stone.number}`;
+
+export function computeStoneChecksum(stones = []) {
+	let hash = 0x811c9dc5;
+	const mix = (value) => {
+		const text = String(value);
+		for (let index = 0; index < text.length; index += 1) {
+			hash ^= text.charCodeAt(index);
+			hash = Math.imul(hash, 0x01000193);
+		}
+	};
+	stones
+		.filter((stone) => stone.isLaunched || stone.isOut)
+		.sort((a, b) => getStoneKey(a).localeCompare(getStoneKey(b)))
+		.forEach((stone) => {
+			mix(getStoneKey(stone));
+			if (stone.isOut) {
+				mix('out');
+				return;
+			}
+			mix(Math.round(stone.position.x * CHECKSUM_POSITION_SCALE));
+			mix(Math.round(stone.position.y * CHECKSUM_POSITION_SCALE));
+		});
+	return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+export function createFriendSyncController(config) {
+	let localThrow = null;
+	let remoteThrow = null;
+	let pendingSnapshot = null;
+	let settledCallbacks = [];
+
+	const getEngineStep = () => config.physicsEngine.stepCount;
+
+	const beginLocalThrow = (stone, launch) => {
+		localThrow = {
+			throwIndex: config.getCurrentThrowIndex(),
+			launchStep: getEngineStep(),
+			events: [],
+			lastFlushAt: performance.now()
+		};
+		config.sendLaunch({
+			throwIndex: localThrow.throwIndex,
+			color: stone.color,
+			number: stone.number,
+			velocity: { x: launch.velocity.vx, y: launch.velocity.vy },
+			rotationRate: launch.rotationRadiansPerSecond ?? 0,
+			offsetX: launch.offsetX ?? 0,
+			checksum: computeStoneChecksum(config.physicsEngine.getStones())
+		});
+	};
+
+	const recordLocalEvent = (event) => {
+		if (!localThrow) {
+			return;
+		}
+		localThrow.events.push({ step: getEngineStep() - localThrow.launchStep, ...event });
+	};
+
+	const recordSweep = (sweepState) => {
+		recordLocalEvent({ type: 'sweep', sweep: sweepState ? { ...sweepState } : null });
+	};
+
+	const recordRotation = (stone, rotationRate) => {
+		recordLocalEvent({ type: 'rotation', color: stone.color, number: stone.number, rotationRate });
+	};
+
+	const recordHogLineViolation = (stone) => {
+		recordLocalEvent({ type: 'hogLineViolation', color: stone.color, number: stone.number });
+	};
+
+	const flushLocalThrow = (isFinal) => {
+		config.sendThrowEvents({
+			throwIndex: localThrow.throwIndex,
+			step: getEngineStep() - localThrow.launchStep,
+			isFinal,
+			events: localThrow.events
+		});
+		localThrow.events = [];
+		localThrow.lastFlushAt = performance.now();
+	};
+
+	const finishLocalThrow = () => {
+		if (!localThrow) {
+			return;
+		}
+		flushLocalThrow(true);
+		localThrow = null;
+	};
+
+	const receiveLaunch = (launch) => {
+		if (!launch) {
+			return;
+		}
+		remoteThrow = null;
+		pendingSnapshot = null;
+		const localChecksum = computeStoneChecksum(config.physicsEngine.getStones());
+		const stone = config.launchRemoteStone({
+			throwIndex: launch.throwIndex,
+			color: launch.color,
+			number: launch.number,
+			velocity: { vx: launch.velocity.x, vy: launch.velocity.y },
+			rotationRadiansPerSecond: launch.rotationRate ?? 0,
+			offsetX: launch.offsetX ?? 0
+		});
+		if (!stone) {
+			return;
+		}
+		remoteThrow = {
+			throwIndex: launch.throwIndex,
+			launchStep: getEngineStep(),
+			confirmedStep: 0,
+			finalStep: null,
+			events: [],
+			eventIndex: 0,
+			isSimulated: false,
+			isDiverged: !!launch.checksum && launch.checksum !== localChecksum
+		};
+	};
+
+	const receiveThrowEvents = (batch) => {
+		if (!batch || !remoteThrow || batch.throwIndex !== remoteThrow.throwIndex) {
+			return;
+		}
+		remoteThrow.events.push(...(batch.events ?? []));
+		remoteThrow.confirmedStep = Math.max(remoteThrow.confirmedStep, batch.step);
+		if (batch.isFinal) {
+			remoteThrow.finalStep = batch.step;
+		}
+	};
+
+	const runSettledCallbacks = () => {
+		const callbacks = settledCallbacks;
+		settledCallbacks = [];
+		callbacks.forEach((callback) => callback());
+	};
+
+	const resolveSnapshot = () => {
+		if (!pendingSnapshot || (remoteThrow && !remoteThrow.isSimulated)) {
+			return;
+		}
+		const snapshot = pendingSnapshot;
+		const isDiverged = !!remoteThrow?.isDiverged;
+		pendingSnapshot = null;
+		remoteThrow = null;
+		if (isDiverged || computeStoneChecksum(config.physicsEngine.getStones()) !== computeStoneChecksum(snapshot)) {
+			config.applySnapshot(snapshot);
+		}
+		runSettledCallbacks();
+	};
+
+	const receiveSnapshot = (snapshot) => {
+		if (!Array.isArray(snapshot)) {
+			return;
+		}
+		pendingSnapshot = snapshot;
+		resolveSnapshot();
+	};
+
+	const getRemoteStep = () => getEngineStep() - remoteThrow.launchStep;
+
+	const applyDueEvents = () => {
+		const step = getRemoteStep();
+		while (
+			remoteThrow.eventIndex < remoteThrow.events.length &&
+			remoteThrow.events[remoteThrow.eventIndex].step <= step
+		) {
+			config.applyRemoteEvent(remoteThrow.events[remoteThrow.eventIndex]);
+			remoteThrow.eventIndex += 1;
+		}
+	};
+
+	const updateRemoteThrow = (timestamp) => {
+		const engine = config.physicsEngine;
+		if (engine.lastTimestamp == null) {
+			engine.lastTimestamp = timestamp;
+			return;
+		}
+		const backlog = remoteThrow.confirmedStep - getRemoteStep();
+		const speedUp = backlog > REMOTE_CATCH_UP_STEPS ? 2 : 1;
+		const maxFrameSeconds = engine.fixedTimeStep * engine.maxStepsPerUpdate * speedUp;
+		const frameSeconds = Math.max(0, (timestamp - engine.lastTimestamp) / 1000) * speedUp;
+		engine.lastTimestamp = timestamp;
+		engine.accumulator = Math.min(engine.accumulator + frameSeconds, maxFrameSeconds);
+		while (
+			engine.isActive &&
+			engine.accumulator >= engine.fixedTimeStep &&
+			getRemoteStep() < remoteThrow.confirmedStep
+		) {
+			applyDueEvents();
+			engine.storePreviousState();
+			engine.step(engine.fixedTimeStep);
+			engine.accumulator -= engine.fixedTimeStep;
+		}
+		if (remoteThrow.finalStep != null && (!engine.isActive || getRemoteStep() >= remoteThrow.finalStep)) {
+			engine.accumulator = 0;
+			remoteThrow.isSimulated = true;
+			resolveSnapshot();
+		}
+	};
+
+	const update = (timestamp) => {
+		if (remoteThrow && !remoteThrow.isSimulated) {
+			updateRemoteThrow(timestamp);
+		}
+		if (localThrow && performance.now() - localThrow.lastFlushAt >= THROW_EVENT_FLUSH_MS) {
+			flushLocalThrow(false);
+		}
+	};
+
+	const isAwaitingRemoteSteps = () =>
+		!!remoteThrow &&
+		!remoteThrow.isSimulated &&
+		config.physicsEngine.isActive &&
+		getRemoteStep() >= remoteThrow.confirmedStep;
+
+	const runWhenSettled = (callback) => {
+		if (!remoteThrow && !pendingSnapshot) {
+			callback();
+			return;
+		}
+		settledCallbacks.push(callback);
+	};
+
+	const reset = () => {
+		localThrow = null;
+		remoteThrow = null;
+		pendingSnapshot = null;
+		settledCallbacks = [];
+	};
+
+	return {
+		beginLocalThrow,
+		recordSweep,
+		recordRotation,
+		recordHogLineViolation,
+		finishLocalThrow,
+		receiveLaunch,
+		receiveThrowEvents,
+		receiveSnapshot,
+		update,
+		isAwaitingRemoteSteps,
+		runWhenSettled,
+		reset,
+		isSimulatingRemoteThrow: () => !!remoteThrow && !remoteThrow.isSimulated,
+		isRemoteThrowPending: () => !!remoteThrow
+	};
+}
@@ -0,0 +1,162 @@
+const GAME_RECORD_FORMAT = 'curling-game-record';
+const GAME_RECORD_VERSION = 1;
+
+const roundCoordinate = (value) => Math.round(value * 10000) / 10000;
+
+export function createGameRecordController(config) {
+	let record = null;
+	let pendingThrow = null;
+
+	const captureStonesInPlay = () =>
+		config.physicsEngine
+			.getStones()
+			.filter((stone) => stone.isLaunched && !stone.isOut)
+			.map((stone) => ({
+				color: stone.color,
+				number: stone.number,
+				x: roundCoordinate(stone.position.x),
+				y: roundCoordinate(stone.position.y)
+			}));
+
+	const startGame = () => {
+		const settings = config.getGameSettings();
+		record = {
+			format: GAME_RECORD_FORMAT,
+			version: GAME_RECORD_VERSION,
+			metadata: {
+				createdAt: new Date().toISOString(),
+				mode: config.getCurrentMode(),
+				ends: settings.ends,
+				stonesPerTeam: settings.stonesPerTeam,
+				teams: config.scoreboardState.teams.map((team) => ({
+					color: team.stoneColor,
+					name: team.name
+				})),
+				result: null
+			},
+			ends: []
+		};
+		pendingThrow = null;
+	};
+
+	const ensureEnd = (endIndex) => {
+		let end = record.ends.find((entry) => entry.index === endIndex);
+		if (!end) {
+			end = {
+				index: endIndex,
+				hammer: config.getHammerColor(),
+				initialStones: captureStonesInPlay(),
+				score: null,
+				throws: []
+			};
+			record.ends.push(end);
+		}
+		return end;
+	};
+
+	const recordThrow = (stone, launch) => {
+		if (!record) {
+			return;
+		}
+		const end = ensureEnd(config.getCurrentEndIndex());
+		pendingThrow = {
+			index: config.getCurrentThrowIndex(),
+			color: stone.color,
+			number: stone.number,
+			launch: {
+				velocity: { vx: launch.velocity.vx, vy: launch.velocity.vy },
+				rotationRate: launch.rotationRadiansPerSecond ?? 0,
+				offsetX: launch.offsetX ?? 0
+			},
+			result: null
+		};
+		end.throws.push(pendingThrow);
+	};
+
+	const recordThrowResult = () => {
+		if (!record || !pendingThrow) {
+			return;
+		}
+		pendingThrow.result = captureStonesInPlay();
+		pendingThrow = null;
+	};
+
+	const recordEndResult = (endIndex) => {
+		if (!record) {
+			return;
+		}
+		const end = ensureEnd(endIndex);
+		end.score = {};
+		config.scoreboardState.teams.forEach((team) => {
+			end.score[team.stoneColor] = Number(team.scores[endIndex]) || 0;
+		});
+		if (config.getIsGameOver()) {
+			const [first, second] = config.scoreboardState.teams;
+			record.metadata.result = {
+				winner: first.total === second.total
+					? null
+					: (first.total > second.total ? first.stoneColor : second.stoneColor),
+				totals: Object.fromEntries(
+					config.scoreboardState.teams.map((team) => [team.stoneColor, team.total])
+				)
+			};
+		}
+	};
+
+	const getRecord = () => record;
+
+	const restoreRecord = (savedRecord) => {
+		record = savedRecord && savedRecord.format === GAME_RECORD_FORMAT ? savedRecord : null;
+		pendingThrow = null;
+	};
+
+	const hasRecord = () => !!record && record.ends.length > 0;
+
+	const exportRecord = () => JSON.stringify(record, null, 2);
+
+	const isStoneEntry = (entry) =>
+		!!entry &&
+		typeof entry.color === 'string' &&
+		Number.isFinite(entry.number) &&
+		Number.isFinite(entry.x) &&
+		Number.isFinite(entry.y);
+
+	const parseRecord = (text) => {
+		const data = JSON.parse(text);
+		if (!data || data.format !== GAME_RECORD_FORMAT) {
+			throw new Error('Not a curling game record.');
+		}
+		if (data.version !== GAME_RECORD_VERSION) {
+			throw new Error(`Unsupported game record version ${data.version}.`);
+		}
+		if (!Array.isArray(data.metadata?.teams) || !Array.isArray(data.ends)) {
+			throw new Error('Game record is missing teams or ends.');
+		}
+		if (!config.stonesPerTeamOptions.includes(data.metadata.stonesPerTeam)) {
+			throw new Error(`Unsupported stones per team ${data.metadata.stonesPerTeam}.`);
+		}
+		const validEnds = data.ends.every(
+			(end) =>
+				Number.isInteger(end.index) &&
+				Array.isArray(end.throws) &&
+				(end.initialStones ?? []).every(isStoneEntry) &&
+				end.throws.every((entry) => (entry.result ?? []).every(isStoneEntry))
+		);
+		if (!validEnds) {
+			throw new Error('Game record contains malformed ends.');
+		}
+		return data;
+	};
+
+	return {
+		startGame,
+		recordThrow,
+		recordThrowResult,
+		recordEndResult,
+		getRecord,
+		restoreRecord,
+		hasRecord,
+		exportRecord,
+		parseRecord
+	};
+}
@@ -1,7 +1,9 @@
 export function createGameplayController(config) {
+	let freeGuardZoneSnapshot = null;
+
 	const getTotalScheduledEnds = () => {
 		const firstTeam = config.scoreboardState.teams[0];
-		return firstTeam ? firstTeam.scores.length : config.baseEnds;
+		return firstTeam ? firstTeam.scores.length : config.getBaseEnds();
 	};
 
 	const ensureScoreCapacity = (endIndex) => {
@@ -29,7 +31,7 @@ export function createGameplayController(config) {
 			}
 			return count;
 		}, 0);
-		return Math.max(0, config.stonesPerTeam - used);
+		return Math.max(0, config.getStonesPerTeam() - used);
 	};
 
 	const areAllThrowsCompleted = () =>
@@ -37,17 +39,83 @@ export function createGameplayController(config) {
 			(team) => getRemainingStones(team.stoneColor) === 0
 		);
 
-	const hasMultipleColors = (stones) => {
-		if (stones.length === 0) {
+	const getStoneKey = (stone) => `${stone.color}:${stone.number}`;
+
+	const isStoneInPlay = (stone) => stone.isLaunched && !stone.isOut;
+
+	const isInFreeGuardZone = (stone) => {
+		if (!isStoneInPlay(stone)) {
+			return false;
+		}
+		const { x, y } = stone.position;
+		if (y < config.hogLineFarY || y >= 0) {
+			return false;
+		}
+		return Math.hypot(x, y) > config.houseRadius + config.stoneRadius;
+	};
+
+	const isFreeGuardZoneActive = () => {
+		const mode = config.getCurrentMode();
+		if (mode === config.GameMode.PRACTICE || mode === config.GameMode.TUTORIAL) {
 			return false;
 		}
-		const firstColor = stones[0].color;
-		return stones.some((stone) => stone.color !== firstColor);
+		return config.getCurrentThrowIndex() < config.getFreeGuardZoneThrows();
+	};
+
+	const getProtectedGuardKeys = (throwingColor) => {
+		if (!isFreeGuardZoneActive()) {
+			return [];
+		}
+		if (config.getCurrentMode() === config.GameMode.MIXED_DOUBLES) {
+			return config.physicsEngine.getStones().filter(isStoneInPlay).map(getStoneKey);
+		}
+		return config.physicsEngine
+			.getStones()
+			.filter((stone) => stone.color !== throwingColor && isInFreeGuardZone(stone))
+			.map(getStoneKey);
+	};
+
+	const captureFreeGuardZone = (thrownStone) => {
+		freeGuardZoneSnapshot = null;
+		if (!thrownStone) {
+			return;
+		}
+		const guardKeys = getProtectedGuardKeys(thrownStone.color);
+		if (guardKeys.length === 0) {
+			return;
+		}
+		freeGuardZoneSnapshot = {
+			state: config.physicsEngine.captureState(),
+			thrownKey: getStoneKey(thrownStone),
+			guardKeys
+		};
+	};
+
+	const resolveFreeGuardZone = () => {
+		if (!freeGuardZoneSnapshot || config.physicsEngine.isRunning()) {
+			return false;
+		}
+		const snapshot = freeGuardZoneSnapshot;
+		freeGuardZoneSnapshot = null;
+		const stones = config.physicsEngine.getStones();
+		const findStone = (key) => stones.find((stone) => getStoneKey(stone) === key);
+		const violated = snapshot.guardKeys.some((key) => {
+			const guard = findStone(key);
+			return guard && !isStoneInPlay(guard);
+		});
+		if (!violated) {
+			return false;
+		}
+		config.physicsEngine.restoreState(snapshot.state);
+		config.relocateStoneToOutTray(findStone(snapshot.thrownKey));
+		config.showCenterNote('Free guard zone violation.\nStones restored, delivered stone removed.');
+		return true;
 	};
 
 	const buildEndScoringPlan = () => {
 		const stones = config.physicsEngine.getStones();
 		const scoringRadius = config.houseRadius + config.stoneRadius;
+		const tolerance = config.measureTieTolerance;
 		const stonesInHouse = [];
 		const stonesOutsideHouse = [];
 		for (const stone of stones) {
@@ -61,30 +129,62 @@ export function createGameplayController(config) {
 				stonesInHouse.push({ stone, distance });
 			}
 		}
+		stonesInHouse.sort((a, b) => a.distance - b.distance);
 
-		if (stonesInHouse.length === 0) {
-			return {
-				winningColor: null,
-				points: 0,
-				removalQueue: stonesOutsideHouse
-			};
-		}
+		const leader = stonesInHouse[0];
+		const firstOpponent = leader
+			? stonesInHouse.find((entry) => entry.stone.color !== leader.stone.color)
+			: null;
+		const isTieForFirst = !!firstOpponent && firstOpponent.distance - leader.distance <= tolerance;
+		const countingStones = !leader || isTieForFirst
+			? []
+			: stonesInHouse.filter(
+				(entry) =>
+					entry.stone.color === leader.stone.color &&
+					(!firstOpponent || entry.distance < firstOpponent.distance - tolerance)
+			);
+		const tiedWithOpponent = firstOpponent
+			? stonesInHouse.filter(
+				(entry) =>
+					entry.stone.color === leader.stone.color &&
+					Math.abs(entry.distance - firstOpponent.distance) <= tolerance
+			)
+			: [];
+		const contestedLimit = firstOpponent
+			? firstOpponent.distance + config.measureCloseCallDistance
+			: Infinity;
+		const measurements = stonesInHouse
+			.filter((entry) => entry.distance <= contestedLimit)
+			.map((entry) => ({
+				stone: entry.stone,
+				distance: entry.distance,
+				edgeDistance: Math.max(0, entry.distance - config.stoneRadius),
+				isCounting: countingStones.includes(entry),
+				isTied:
+					tiedWithOpponent.includes(entry) ||
+					(entry === firstOpponent && tiedWithOpponent.length > 0)
+			}));
+		const isCloseCall =
+			!!firstOpponent &&
+			stonesInHouse.some(
+				(entry) =>
+					entry.stone.color === leader.stone.color &&
+					Math.abs(entry.distance - firstOpponent.distance) <= config.measureCloseCallDistance
+			);
 
-		stonesInHouse.sort((a, b) => a.distance - b.distance);
-		const ordered = stonesInHouse.map((entry) => entry.stone);
-		const removalQueue = [...stonesOutsideHouse];
-		while (ordered.length > 0 && hasMultipleColors(ordered)) {
-			const removed = ordered.pop();
-			if (removed) {
-				removalQueue.push(removed);
-			}
-		}
-		const winningColor = ordered.length > 0 ? ordered[0].color : null;
-		const points = ordered.length;
 		return {
-			winningColor,
-			points,
-			removalQueue
+			winningColor: countingStones.length > 0 ? leader.stone.color : null,
+			points: countingStones.length,
+			isTieForFirst,
+			isCloseCall,
+			measurements,
+			removalQueue: [
+				...stonesOutsideHouse,
+				...stonesInHouse
+					.filter((entry) => !countingStones.includes(entry))
+					.reverse()
+					.map((entry) => entry.stone)
+			]
 		};
 	};
 
@@ -94,10 +194,15 @@ export function createGameplayController(config) {
 		}
 		const plan = buildEndScoringPlan();
 		config.clearCameraFollowStone();
+		if (plan.isCloseCall) {
+			config.showMeasurement(plan.measurements);
+		}
 		config.setScoringSequence({
 			phase: 'camera',
 			winningColor: plan.winningColor,
 			points: plan.points,
+			isTieForFirst: plan.isTieForFirst,
+			isMeasuring: plan.isCloseCall,
 			removalQueue: plan.removalQueue,
 			nextRemoveAt: null,
 			cameraSettledAt: null,
@@ -131,17 +236,41 @@ export function createGameplayController(config) {
 		config.renderScoreboard();
 	};
 
+	const getOppositeColor = (color) =>
+		color === config.StoneColor.RED ? config.StoneColor.YELLOW : config.StoneColor.RED;
+
+	const updateHammerAfterEnd = (winningColor, points) => {
+		const hammerColor = config.getHammerColor();
+		if (winningColor && points > 0) {
+			config.setHammerColor(getOppositeColor(winningColor));
+		} else if (config.getCurrentMode() === config.GameMode.MIXED_DOUBLES && hammerColor) {
+			config.setHammerColor(getOppositeColor(hammerColor));
+		}
+		if (config.getHammerColor()) {
+			config.setStartingTeamColor(getOppositeColor(config.getHammerColor()));
+		}
+	};
+
 	const finalizeEndResult = (winningColor, points) => {
+		commitEndResult(winningColor, points);
+		config.onEndResultCommitted();
+	};
+
+	const commitEndResult = (winningColor, points) => {
 		config.setEndResultCommitted(true);
 		config.setIsEndInProgress(false);
+		updateHammerAfterEnd(winningColor, points);
 		recordEndScore(winningColor, points);
-		if (winningColor && points > 0) {
-			config.setStartingTeamColor(winningColor);
-		}
 		const scheduledEnds = getTotalScheduledEnds();
 		const totals = config.scoreboardState.teams.map((team) => team.total);
 		const isTie = totals[0] === totals[1];
 		if (config.getCurrentEndIndex() >= scheduledEnds) {
+			if (isTie && !config.getAllowExtraEnds()) {
+				concludeGame(null);
+				config.setPendingRoundAction('newGame');
+				config.setScoreboardVisible(true);
+				return;
+			}
 			if (isTie) {
 				addExtraEndColumn();
 				config.renderScoreboard();
@@ -163,35 +292,9 @@ export function createGameplayController(config) {
 
 	const scoreCurrentEnd = () => {
 		ensureScoreCapacity(config.getCurrentEndIndex());
-		const stones = config.physicsEngine.getStones();
-		const scoringRadius = config.houseRadius + config.stoneRadius;
-		const stonesInHouse = [];
-		const stonesOutsideHouse = [];
-		for (const stone of stones) {
-			if (!stone.isLaunched) {
-				continue;
-			}
-			const distance = Math.hypot(stone.position.x, stone.position.y);
-			if (distance > scoringRadius) {
-				stonesOutsideHouse.push(stone);
-			} else {
-				stonesInHouse.push({ stone, distance });
-			}
-		}
-		stonesOutsideHouse.forEach(config.relocateStoneToOutTray);
-		if (stonesInHouse.length === 0) {
-			finalizeEndResult(null, 0);
-			return;
-		}
-		stonesInHouse.sort((a, b) => a.distance - b.distance);
-		const ordered = stonesInHouse.map((entry) => entry.stone);
-		while (ordered.length > 0 && hasMultipleColors(ordered)) {
-			const removed = ordered.pop();
-			config.relocateStoneToOutTray(removed);
-		}
-		const winningColor = ordered.length > 0 ? ordered[0].color : null;
-		const points = ordered.length;
-		finalizeEndResult(winningColor, points);
+		const plan = buildEndScoringPlan();
+		plan.removalQueue.forEach(config.relocateStoneToOutTray);
+		finalizeEndResult(plan.winningColor, plan.points);
 	};
 
 	const maybeHandleEndCompletion = () => {
@@ -239,8 +342,14 @@ export function createGameplayController(config) {
 				if (sequence.cameraSettledAt == null) {
 					sequence.cameraSettledAt = timestamp;
 				}
-				if (timestamp - sequence.cameraSettledAt >= config.scoringSettings.cameraSettleMs) {
+				const settleMs = config.scoringSettings.cameraSettleMs +
+					(sequence.isMeasuring ? config.scoringSettings.measureHoldMs : 0);
+				if (timestamp - sequence.cameraSettledAt >= settleMs) {
 					sequence.phase = 'removing';
+					if (sequence.isMeasuring) {
+						sequence.isMeasuring = false;
+						config.hideMeasurement();
+					}
 					sequence.nextRemoveAt = timestamp + config.scoringSettings.removeIntervalMs;
 				}
 			} else {
@@ -269,11 +378,13 @@ export function createGameplayController(config) {
 
 		if (sequence.phase === 'announce') {
 			if (!sequence.messageShown) {
-				const { winningColor, points } = sequence;
-				const message =
-					winningColor && points > 0
-						? `${getTeamNameByColor(winningColor)} scores ${points} point${points === 1 ? '' : 's'}`
-						: 'No score';
+				const { winningColor, points, isTieForFirst } = sequence;
+				let message = 'No score';
+				if (isTieForFirst) {
+					message = 'Measured tie for shot stone – blank end';
+				} else if (winningColor && points > 0) {
+					message = `${getTeamNameByColor(winningColor)} scores ${points} point${points === 1 ? '' : 's'}`;
+				}
 				config.showEndScoreAnnouncement(message);
 				config.setScoreboardVisible(true);
 				sequence.messageShown = true;
@@ -298,6 +409,7 @@ export function createGameplayController(config) {
 			return;
 		}
 		config.setStartingTeamColor(initialColor);
+		config.setHammerColor(getOppositeColor(initialColor));
 		ensureScoreCapacity(config.getCurrentEndIndex());
 		config.resetStonesToHomeTrays();
 		config.inputController.resetInteractions();
@@ -308,12 +420,14 @@ export function createGameplayController(config) {
 		config.setActiveTeamColor(config.getStartingTeamColor());
 		config.hideEndScoreAnnouncement();
 		config.setScoringSequence(null);
+		freeGuardZoneSnapshot = null;
 		config.renderScoreboard();
 		config.setScoreboardVisible(false);
 		config.stopThinkingTimer();
 		config.setIsEndInProgress(true);
 		config.setEndResultCommitted(false);
 		config.hideWinnerAnnouncement();
+		config.onEndStarted();
 		config.ensureReadyStone();
 	};
 
@@ -321,9 +435,8 @@ export function createGameplayController(config) {
 		config.setIsGameOver(true);
 		config.setIsEndInProgress(false);
 		config.setReadyStoneKey(null);
-		const name = team?.name ?? 'Team';
 		config.hideEndScoreAnnouncement();
-		config.showWinnerAnnouncement(`${name} wins!`);
+		config.showWinnerAnnouncement(team ? `${team.name} wins!` : 'The game ends in a tie.');
 		config.setScoreboardVisible(true);
 		config.stopThinkingTimer();
 	};
@@ -331,19 +444,22 @@ export function createGameplayController(config) {
 	const resetGameState = () => {
 		config.setCurrentEndIndex(0);
 		config.setStartingTeamColor(config.StoneColor.RED);
+		config.setHammerColor(null);
 		config.setIsGameOver(false);
 		config.setEndResultCommitted(false);
 		config.setPendingRoundAction(null);
 		config.setNextTeamColorPending(null);
 		config.inputController.resetInteractions();
 		config.stopThinkingTimer();
-		const baseScores = Array(config.baseEnds).fill('');
+		const baseScores = Array(config.getBaseEnds()).fill('');
+		const teamNames = config.getTeamNames();
 		config.scoreboardState.teams.forEach((team) => {
+			team.name = teamNames[team.stoneColor] ?? team.name;
 			team.scores = [...baseScores];
 			team.total = 0;
 		});
-		config.teamThinkTimeRemaining[config.StoneColor.RED] = config.teamThinkTimeSeconds;
-		config.teamThinkTimeRemaining[config.StoneColor.YELLOW] = config.teamThinkTimeSeconds;
+		config.teamThinkTimeRemaining[config.StoneColor.RED] = config.getTeamThinkTimeSeconds();
+		config.teamThinkTimeRemaining[config.StoneColor.YELLOW] = config.getTeamThinkTimeSeconds();
 		config.setTimerDisplayColor(config.getStartingTeamColor());
 		config.setActiveTeamColor(config.getStartingTeamColor());
 		config.renderScoreboard();
@@ -358,8 +474,7 @@ export function createGameplayController(config) {
 			return;
 		}
 		if (config.getPendingRoundAction() === 'newGame') {
-			resetGameState();
-			startNewEnd(config.getStartingTeamColor());
+			config.startNewGame();
 		}
 	};
 
@@ -369,9 +484,13 @@ export function createGameplayController(config) {
 		areAllThrowsCompleted,
 		maybeHandleEndCompletion,
 		scoreCurrentEnd,
+		buildEndScoringPlan,
 		updateScoringSequence,
 		startNewEnd,
 		concludeGame,
+		getProtectedGuardKeys,
+		captureFreeGuardZone,
+		resolveFreeGuardZone,
 		resetGameState,
 		handlePendingRoundAction
 	};
@@ -32,12 +32,15 @@ export function drawTrack(state) {
 	}
 	ctx.clearRect(0, 0, canvas.width, canvas.height);
 	drawSheet(state);
+	drawBoards(state);
 	drawHouse(state);
 	drawHacks(state);
 	drawGuideLines(state);
+	drawIceWear(state);
 	drawHogLineSponsors(state);
 	drawDragGuides(state);
 	drawStones(state);
+	drawMeasureResults(state);
 	drawThrowSpeedOverlay(state);
 	drawMiniMap(state);
 	drawTutorialOverlay(state);
@@ -54,6 +57,20 @@ function drawSheet({ sheetExtents }) {
 	);
 }
 
+function drawBoards({ sheetExtents, physicsEngine }) {
+	if (!physicsEngine.isArenaMode()) {
+		return;
+	}
+	const { xMin, xMax, yMin, yMax } = sheetExtents;
+	const thickness = 0.1;
+	const fill = '#8d6e63';
+	const stroke = '#5d4037';
+	drawRectangle(xMin - thickness, yMin - thickness, xMin, yMax + thickness, fill, stroke);
+	drawRectangle(xMax, yMin - thickness, xMax + thickness, yMax + thickness, fill, stroke);
+	drawRectangle(xMin, yMax, xMax, yMax + thickness, fill, stroke);
+	drawRectangle(xMin, yMin - thickness, xMax, yMin, fill, stroke);
+}
+
 function drawGuideLines({ sheetExtents, lineMarkings, backLineY }) {
 	const { xMin, xMax } = sheetExtents;
 
@@ -95,6 +112,23 @@ function drawGuideLines({ sheetExtents, lineMarkings, backLineY }) {
 	);
 }
 
+function drawIceWear({ physicsEngine }) {
+	const iceSurface = physicsEngine.iceSurface;
+	if (!iceSurface) {
+		return;
+	}
+	const halfCell = iceSurface.cellSize / 2;
+	for (const cell of iceSurface.getWornCells(0.02)) {
+		drawRectangle(
+			cell.x - halfCell,
+			cell.y - halfCell,
+			cell.x + halfCell,
+			cell.y + halfCell,
+			`rgba(255, 255, 255, ${(cell.wear * 0.35).toFixed(3)})`
+		);
+	}
+}
+
 function drawHouse({ measurements }) {
 	drawCircle(0, 0, measurements.rings.redOuter, '#1e88e5');
 	drawCircle(0, 0, measurements.rings.redInner, '#d8efff');
@@ -189,6 +223,48 @@ function drawDragGuides({ dragState, stoneRadius }) {
 	ctx.lineTo(lineEndCanvas.x, lineEndCanvas.y);
 	ctx.stroke();
 	ctx.restore();
+
+	drawGhostPath(dragState.prediction, radiusPx);
+}
+
+function drawGhostPath(prediction, radiusPx) {
+	if (!prediction || prediction.path.length < 2) {
+		return;
+	}
+	ctx.save();
+	ctx.strokeStyle = 'rgba(15, 23, 42, 0.45)';
+	ctx.lineWidth = Math.max(1, radiusPx * 0.1);
+	ctx.setLineDash([radiusPx * 0.5, radiusPx * 0.4]);
+	ctx.beginPath();
+	prediction.path.forEach((point, index) => {
+		const pointCanvas = worldToCanvas(point.x, point.y);
+		if (index === 0) {
+			ctx.moveTo(pointCanvas.x, pointCanvas.y);
+		} else {
+			ctx.lineTo(pointCanvas.x, pointCanvas.y);
+		}
+	});
+	ctx.stroke();
+	ctx.setLineDash([]);
+
+	const restCanvas = worldToCanvas(prediction.restingPosition.x, prediction.restingPosition.y);
+	if (prediction.isOut) {
+		const size = radiusPx * 0.7;
+		ctx.strokeStyle = 'rgba(198, 40, 40, 0.8)';
+		ctx.beginPath();
+		ctx.moveTo(restCanvas.x - size, restCanvas.y - size);
+		ctx.lineTo(restCanvas.x + size, restCanvas.y + size);
+		ctx.moveTo(restCanvas.x + size, restCanvas.y - size);
+		ctx.lineTo(restCanvas.x - size, restCanvas.y + size);
+		ctx.stroke();
+	} else {
+		ctx.fillStyle = 'rgba(15, 23, 42, 0.2)';
+		ctx.beginPath();
+		ctx.arc(restCanvas.x, restCanvas.y, radiusPx, 0, Math.PI * 2);
+		ctx.fill();
+		ctx.stroke();
+	}
+	ctx.restore();
 }
 
 function drawArrow(fromX, fromY, toX, toY) {
@@ -403,15 +479,15 @@ function drawHackPair(halfSpacing, yStart, yEnd, hackWidth) {
 	);
 }
 
-function drawStones({ physicsEngine, stoneRadius }) {
+function drawStones({ physicsEngine, stoneRadius, getStonePose }) {
 	const stones = physicsEngine.getStones();
 	for (const stone of stones) {
-		drawStone(stone, stoneRadius);
+		drawStone(stone, stoneRadius, getStonePose ? getStonePose(stone) : physicsEngine.getRenderPose?.(stone));
 	}
 }
 
-function drawStone(stone, stoneRadius) {
-	const center = worldToCanvas(stone.position.x, stone.position.y);
+function drawStone(stone, stoneRadius, pose = null) {
+	const center = worldToCanvas(pose?.x ?? stone.position.x, pose?.y ?? stone.position.y);
 	const displayScale = getDisplayScale();
 	const radiusPx = Math.max(stoneRadius * displayScale, 3);
 	const fill = stone.color === StoneColor.YELLOW ? '#fdd835' : '#c62828';
@@ -433,7 +509,57 @@ function drawStone(stone, stoneRadius) {
 	ctx.fill();
 	ctx.restore();
 
-	drawStoneHandle(center, innerRadius, stone.angle ?? 0);
+	drawStoneHandle(center, innerRadius, pose?.angle ?? stone.angle ?? 0, getHandleLedColor(stone));
+}
+
+function getHandleLedColor(stone) {
+	if (stone.hogLineViolation) {
+		return '#ff1744';
+	}
+	if (stone.isLaunched && !stone.isOut && stone.hogTiming?.nearCrossedAt != null && stone.hogTiming.farCrossedAt == null) {
+		return '#00e676';
+	}
+	return null;
+}
+
+function drawMeasureResults({ measureResults, stoneRadius }) {
+	if (!measureResults) {
+		return;
+	}
+	const displayScale = getDisplayScale();
+	const pinCanvas = worldToCanvas(0, 0);
+	ctx.save();
+	ctx.lineWidth = Math.max(1, stoneRadius * displayScale * 0.06);
+	ctx.font = `${Math.max(12, Math.round(stoneRadius * displayScale * 0.45))}px Arial`;
+	ctx.textAlign = 'center';
+	ctx.textBaseline = 'middle';
+	for (const result of measureResults) {
+		const { stone, distance, edgeDistance } = result;
+		if (!stone.isLaunched || stone.isOut || distance <= 0) {
+			continue;
+		}
+		const unitX = stone.position.x / distance;
+		const unitY = stone.position.y / distance;
+		const edgeCanvas = worldToCanvas(unitX * edgeDistance, unitY * edgeDistance);
+		let color = 'rgba(15, 23, 42, 0.6)';
+		if (result.isTied) {
+			color = '#6a1b9a';
+		} else if (result.isCounting) {
+			color = stone.color === StoneColor.YELLOW ? '#f57f17' : '#b71c1c';
+		}
+		ctx.strokeStyle = color;
+		ctx.fillStyle = color;
+		ctx.beginPath();
+		ctx.moveTo(pinCanvas.x, pinCanvas.y);
+		ctx.lineTo(edgeCanvas.x, edgeCanvas.y);
+		ctx.stroke();
+		const labelCanvas = worldToCanvas(
+			unitX * (distance + stoneRadius * 1.8),
+			unitY * (distance + stoneRadius * 1.8)
+		);
+		ctx.fillText(`${(edgeDistance * 100).toFixed(1)} cm`, labelCanvas.x, labelCanvas.y);
+	}
+	ctx.restore();
 }
 
 function drawThrowSpeedOverlay({ dragState, getThrowSpeed, feetToMeters }) {
@@ -586,7 +712,7 @@ function drawMiniMap({
 	ctx.restore();
 }
 
-function drawStoneHandle(center, innerRadius, angle) {
+function drawStoneHandle(center, innerRadius, angle, ledColor = null) {
 	const handleThicknessMeters = 0.0508;
 	const handleThicknessPx = Math.max(handleThicknessMeters * getDisplayScale(), 1.5);
 	const handleLength = (innerRadius * 2) * 0.5;
@@ -602,6 +728,12 @@ function drawStoneHandle(center, innerRadius, angle) {
 	ctx.lineWidth = handleThicknessPx;
 	ctx.lineCap = 'round';
 	ctx.stroke();
+	if (ledColor) {
+		ctx.beginPath();
+		ctx.fillStyle = ledColor;
+		ctx.arc(startOffset + handleLength, 0, Math.max(handleThicknessPx * 0.6, 2), 0, Math.PI * 2);
+		ctx.fill();
+	}
 	ctx.restore();
 }
 
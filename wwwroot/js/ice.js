@@ -0,0 +1,173 @@
+/*
+* Curling Game - A curling simulation game
+* Copyright (C) 2025 Barosaurus Software
+*
+* This program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU General Public License as published by
+* the Free Software Foundation, either version 3 of the License, or
+* (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU General Public License for more details.
+*
+* You should have received a copy of the GNU General Public License
+* along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+const DEFAULT_CELL_SIZE = 0.3;
+const DEFAULT_WEAR_PER_METER = 0.04;
+const DEFAULT_WEAR_FRICTION_GAIN = 0.08;
+const DEFAULT_WEAR_CURL_LOSS = 0.25;
+const MAX_WEAR = 1;
+
+const UNIFORM_PROFILE = Object.freeze({
+  frictionMultiplier: 1,
+  curlMultiplier: 1,
+  variation: 0
+});
+
+function createSeededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export class IceSurface {
+  constructor({
+    sheetExtents,
+    cellSize = DEFAULT_CELL_SIZE,
+    wearPerMeter = DEFAULT_WEAR_PER_METER,
+    wearFrictionGain = DEFAULT_WEAR_FRICTION_GAIN,
+    wearCurlLoss = DEFAULT_WEAR_CURL_LOSS,
+    profile = UNIFORM_PROFILE,
+    seed = 0
+  }) {
+    this.sheetExtents = sheetExtents;
+    this.cellSize = cellSize;
+    this.wearPerMeter = wearPerMeter;
+    this.wearFrictionGain = wearFrictionGain;
+    this.wearCurlLoss = wearCurlLoss;
+    this.columns = Math.max(2, Math.ceil((sheetExtents.xMax - sheetExtents.xMin) / cellSize) + 1);
+    this.rows = Math.max(2, Math.ceil((sheetExtents.yMax - sheetExtents.yMin) / cellSize) + 1);
+    this.frictionGrid = new Float64Array(this.columns * this.rows);
+    this.curlGrid = new Float64Array(this.columns * this.rows);
+    this.wear = new Float64Array(this.columns * this.rows);
+    this.sampleResult = { friction: 1, curl: 1 };
+    this.revision = 0;
+    this.applyProfile(profile, seed);
+  }
+
+  applyProfile(profile = UNIFORM_PROFILE, seed = 0) {
+    this.profile = profile;
+    this.seed = seed;
+    const random = createSeededRandom(seed);
+    const phases = [random(), random(), random(), random()].map((value) => value * Math.PI * 2);
+    const lateralFrequency = (Math.PI * 2) / (2.5 + random() * 1.5);
+    const lengthFrequency = (Math.PI * 2) / (6 + random() * 6);
+    const variation = profile.variation ?? 0;
+    for (let row = 0; row < this.rows; row += 1) {
+      const y = this.sheetExtents.yMin + row * this.cellSize;
+      for (let column = 0; column < this.columns; column += 1) {
+        const x = this.sheetExtents.xMin + column * this.cellSize;
+        const frictionNoise =
+          Math.sin(x * lateralFrequency + phases[0]) * Math.sin(y * lengthFrequency + phases[1]);
+        const curlNoise =
+          Math.sin(x * lateralFrequency * 0.7 + phases[2]) * 0.6 +
+          Math.sin(y * lengthFrequency * 1.3 + phases[3]) * 0.4;
+        const index = row * this.columns + column;
+        this.frictionGrid[index] = profile.frictionMultiplier * (1 + variation * frictionNoise);
+        this.curlGrid[index] = profile.curlMultiplier * (1 + variation * 2 * curlNoise);
+      }
+    }
+    this.resetWear();
+  }
+
+  resetWear() {
+    this.wear.fill(0);
+    this.revision += 1;
+  }
+
+  getCellIndex(x, y) {
+    const column = Math.round((x - this.sheetExtents.xMin) / this.cellSize);
+    const row = Math.round((y - this.sheetExtents.yMin) / this.cellSize);
+    if (column < 0 || column >= this.columns || row < 0 || row >= this.rows) {
+      return -1;
+    }
+    return row * this.columns + column;
+  }
+
+  sample(x, y) {
+    const gridX = Math.min(Math.max((x - this.sheetExtents.xMin) / this.cellSize, 0), this.columns - 1);
+    const gridY = Math.min(Math.max((y - this.sheetExtents.yMin) / this.cellSize, 0), this.rows - 1);
+    const column = Math.min(Math.floor(gridX), this.columns - 2);
+    const row = Math.min(Math.floor(gridY), this.rows - 2);
+    const tx = gridX - column;
+    const ty = gridY - row;
+    let friction = 0;
+    let curl = 0;
+    for (let corner = 0; corner < 4; corner += 1) {
+      const offsetX = corner & 1;
+      const offsetY = corner >> 1;
+      const weight = (offsetX ? tx : 1 - tx) * (offsetY ? ty : 1 - ty);
+      const index = (row + offsetY) * this.columns + column + offsetX;
+      const wear = this.wear[index];
+      friction += weight * this.frictionGrid[index] * (1 + wear * this.wearFrictionGain);
+      curl += weight * this.curlGrid[index] * (1 - wear * this.wearCurlLoss);
+    }
+    this.sampleResult.friction = friction;
+    this.sampleResult.curl = curl;
+    return this.sampleResult;
+  }
+
+  recordTravel(x, y, distance) {
+    const index = this.getCellIndex(x, y);
+    if (index < 0 || distance <= 0) {
+      return;
+    }
+    this.wear[index] = Math.min(MAX_WEAR, this.wear[index] + distance * this.wearPerMeter);
+    this.revision += 1;
+  }
+
+  getWornCells(minimumWear = 0) {
+    const cells = [];
+    for (let index = 0; index < this.wear.length; index += 1) {
+      if (this.wear[index] > minimumWear) {
+        cells.push({
+          x: this.sheetExtents.xMin + (index % this.columns) * this.cellSize,
+          y: this.sheetExtents.yMin + Math.floor(index / this.columns) * this.cellSize,
+          wear: this.wear[index]
+        });
+      }
+    }
+    return cells;
+  }
+
+  captureState() {
+    const wear = [];
+    for (let index = 0; index < this.wear.length; index += 1) {
+      if (this.wear[index] > 0) {
+        wear.push([index, this.wear[index]]);
+      }
+    }
+    return { wear };
+  }
+
+  restoreState(state) {
+    if (!state || !Array.isArray(state.wear)) {
+      return;
+    }
+    this.resetWear();
+    for (const [index, value] of state.wear) {
+      if (index >= 0 && index < this.wear.length) {
+        this.wear[index] = value;
+      }
+    }
+    this.revision += 1;
+  }
+}
@@ -30,6 +30,7 @@ export function createInputController(config) {
 	function clearSweepState() {
 		sweepState = null;
 		config.physicsEngine.clearSweepState?.();
+		config.onSweepChange?.(null);
 	}
 
 	function getCanvasRelativePosition(evt) {
@@ -95,11 +96,13 @@ export function createInputController(config) {
 		}
 		const frictionMultiplier = Math.max(0, 1 - config.sweepFrictionReduction);
 		const curlMultiplier = mode === 'horizontal' ? 0 : 1 + config.sweepCurlBoost;
-		config.physicsEngine.setSweepState?.({
+		const nextSweepState = {
 			key: stoneKey,
 			frictionMultiplier,
 			curlMultiplier
-		});
+		};
+		config.physicsEngine.setSweepState?.(nextSweepState);
+		config.onSweepChange?.(nextSweepState);
 	}
 
 	function updateSweep(screenPoint) {
@@ -155,7 +158,8 @@ export function createInputController(config) {
 			startScreen: worldToCanvas(startWorld.x, startWorld.y),
 			currentWorld: { ...startWorld },
 			pullbackMeters: 0,
-			dragVector: { x: 0, y: 0 }
+			dragVector: { x: 0, y: 0 },
+			prediction: null
 		};
 		clearCameraFollowStone();
 		config.camera.y = getCameraYForLaunch(startWorld.y);
@@ -176,6 +180,7 @@ export function createInputController(config) {
 			dragState.dragVector = { x: 0, y: 0 };
 			dragState.currentWorld = { ...dragState.startWorld };
 			dragState.stone.position = { ...dragState.startWorld };
+			dragState.prediction = null;
 			return;
 		}
 
@@ -199,6 +204,12 @@ export function createInputController(config) {
 		dragState.pullbackMeters = clampedLength;
 		dragState.currentWorld = currentWorld;
 		dragState.stone.position = { ...currentWorld };
+		dragState.prediction = config.predictThrow?.({
+			stone: dragState.stone,
+			speed: config.getThrowSpeed(clampedLength),
+			direction: { x: -dragVector.x / clampedLength, y: -dragVector.y / clampedLength },
+			offsetX: dragState.startWorld.x
+		}) ?? null;
 	}
 
 	function finishStoneDrag() {
@@ -224,12 +235,23 @@ export function createInputController(config) {
 			vy: direction.y * speed
 		};
 
+		launchStone({
+			stone,
+			velocity,
+			rotationRadiansPerSecond: config.getLaunchRotationRate?.() ?? 0,
+			offsetX: startWorld.x
+		});
+	}
+
+	function launchStone({ stone, velocity, rotationRadiansPerSecond = 0, offsetX = 0 }) {
+		const startWorld = { x: offsetX, y: config.launchStartY };
+		config.onBeforeLaunch?.(stone, { velocity, rotationRadiansPerSecond, offsetX });
 		const launchedStone = config.physicsEngine.throwStone({
 			color: stone.color,
 			number: stone.number,
 			velocity,
-			rotationRadiansPerSecond: 0,
-			offsetX: startWorld.x
+			rotationRadiansPerSecond,
+			offsetX
 		});
 		if (config.launchSound) {
 			config.launchSound.currentTime = 0;
@@ -244,6 +266,7 @@ export function createInputController(config) {
 		config.setCurrentThrowIndex(nextThrowIndex);
 		config.setNextTeamColorPending(config.getColorForThrowIndex(nextThrowIndex));
 		config.setReadyStoneKey(null);
+		return launchedStone;
 	}
 
 	function getRotationSwipeStone() {
@@ -275,11 +298,25 @@ export function createInputController(config) {
 		return true;
 	}
 
+	function isReleasedAfterHogLine(stone) {
+		return (
+			!!stone &&
+			stone.isLaunched &&
+			!stone.isOut &&
+			(stone.hogTiming?.nearCrossedAt != null || stone.position.y >= config.hogLineNearY)
+		);
+	}
+
 	function finishRotationSwipe(pointerId, screenPoint) {
 		if (!swipeState || swipeState.pointerId !== pointerId) {
 			return;
 		}
 		const stone = config.getStoneByKey(swipeState.stoneKey);
+		if (isReleasedAfterHogLine(stone)) {
+			swipeState = null;
+			config.onHogLineViolation?.(stone);
+			return;
+		}
 		const endTime = performance.now();
 		const elapsedSeconds = (endTime - swipeState.startTime) / 1000;
 		const dxScreen = screenPoint.x - swipeState.startScreen.x;
@@ -302,6 +339,7 @@ export function createInputController(config) {
 			stone.pendingRotationRate = 0;
 			stone.rotationActivated = true;
 			stone.hasStoppedNotified = false;
+			config.onRotationSwipe?.(stone, rotationRate);
 		}
 
 		swipeState = null;
@@ -445,6 +483,7 @@ export function createInputController(config) {
 		getDragState,
 		resetInteractions,
 		clearSweepState,
+		launchStone,
 		onPointerDown,
 		onPointerMove,
 		onPointerUp,
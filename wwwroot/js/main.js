@@ -16,20 +16,34 @@
 * along with this program.  If not, see <http://www.gnu.org/licenses/>.
 */
 import { PhysicsEngine } from './physics.js';
+import { IceSurface } from './ice.js';
 import { StoneColor } from './stone.js';
 import { createInputController } from './input.js';
 import { createGameplayController } from './gameplay.js';
 import { createAudioManager } from './audio.js';
 import { createUIController } from './ui.js';
 import { createTutorialController } from './tutorial.js';
+import { createAIController } from './ai.js';
+import { createMixedDoublesController } from './mixedDoubles.js';
+import { createSaveGameController } from './savegame.js';
+import { createReplayController, applyShotEvent } from './replay.js';
+import { createGameRecordController } from './gameRecord.js';
+import { createRecordViewerController } from './recordViewer.js';
+import { createTelemetryController } from './telemetry.js';
+import { createRosterController } from './roster.js';
+import { createFriendSyncController } from './friendSync.js';
+import { createRemoteSmoothingController } from './remoteSmoothing.js';
+import { createMultiplayerConnection, resolveMultiplayerTransport } from './multiplayerTransport.js';
 import {
 	BACK_LINE_Y,
 	CAMERA_CENTER_X,
 	FAR_TRAY_BASE_Y,
 	FEET_TO_METERS,
 	GameMode,
+	MultiplayerTransport,
 	HOG_LINE_FAR_Y,
 	HOG_LINE_NEAR_Y,
+	BACK_LINE_NEAR_Y,
 	HOG_SPONSOR_MARGIN_X,
 	HOG_SPONSOR_OFFSET_Y,
 	HOG_SPONSOR_PIXEL_HEIGHT,
@@ -40,6 +54,8 @@ import {
 	MAX_PULLBACK_METERS,
 	MAX_ROTATION_RATE,
 	MAX_THROW_SPEED,
+	PRACTICE_ROTATION_RATE,
+	GHOST_PATH_MAX_SECONDS,
 	MEASUREMENTS,
 	MINIMAP_MARGIN_PX,
 	MINIMAP_SCALE_FRACTION,
@@ -57,9 +73,14 @@ import {
 	SCORE_MESSAGE_DURATION_MS,
 	SCORE_POST_MESSAGE_DELAY_MS,
 	SCORE_REMOVE_INTERVAL_MS,
+	MEASURE_TIE_TOLERANCE_METERS,
+	MEASURE_CLOSE_CALL_METERS,
+	MEASURE_HOLD_MS,
+	MEASURE_HOUSE_MARGIN_METERS,
 	SHEET_EXTENTS,
 	SIDE_BUFFER_METERS,
 	STONE_RADIUS,
+	STONE_WEIGHT,
 	STONE_SCREEN_FRACTION_FROM_BOTTOM,
 	STONE_TRAY_COLUMN_SPACING,
 	STONE_TRAY_COLUMNS,
@@ -73,7 +94,27 @@ import {
 	SWEEP_MIN_DISTANCE_PX,
 	TEAM_THINK_TIME_SECONDS,
 	YELLOW_FAR_TRAY_BASE_X,
-	EXTRA_END_THINK_TIME_SECONDS
+	EXTRA_END_THINK_TIME_SECONDS,
+	FREE_GUARD_ZONE_THROWS,
+	ROSTER_POSITIONS,
+	MULTIPLAYER_RECONNECT_GRACE_SECONDS,
+	MULTIPLAYER_RECONNECT_BASE_DELAY_MS,
+	MULTIPLAYER_RECONNECT_MAX_DELAY_MS,
+	MIXED_DOUBLES_STONES_PER_TEAM,
+	MIXED_DOUBLES_ENDS,
+	MIXED_DOUBLES_THINK_TIME_SECONDS,
+	MIXED_DOUBLES_FREE_GUARD_ZONE_THROWS,
+	MIXED_DOUBLES_HOUSE_STONE_Y,
+	MIXED_DOUBLES_GUARD_Y,
+	MIXED_DOUBLES_POWER_PLAY_X,
+	MIXED_DOUBLES_POWER_PLAY_HOUSE_STONE_Y,
+	GAME_END_OPTIONS,
+	THINK_TIME_OPTIONS_SECONDS,
+	STONES_PER_TEAM_OPTIONS,
+	DEFAULT_ICE_PROFILE,
+	ICE_PROFILES,
+	DEFAULT_BOUNDARY_RULE,
+	BOUNDARY_RULES
 } from './constants.js';
 import {
 	camera,
@@ -91,7 +132,10 @@ import {
 	setCameraToHackView,
 	setCameraToLaunchPosition,
 	setCameraZoom,
+	setCameraToHouse,
+	restoreCameraFromHouse,
 	setScaleData,
+	setCameraFollowStone,
 	updateCameraFollow,
 	centerCameraHorizontal
 } from './camera.js';
@@ -104,6 +148,8 @@ import {
 const canvas = document.getElementById('curling-canvas');
 const ctx = canvas?.getContext('2d');
 const signalR = window.signalR;
+const urlParams = new URLSearchParams(window.location.search);
+const multiplayerTransport = resolveMultiplayerTransport(urlParams.get('transport'));
 
 const BASE_ENDS = 10;
 const scoreboardState = {
@@ -128,6 +174,7 @@ const scoreboardState = {
 
 let currentEndIndex = 0;
 let startingTeamColor = StoneColor.RED;
+let hammerColor = null;
 let isEndInProgress = false;
 let endResultCommitted = false;
 let isGameOver = false;
@@ -153,15 +200,29 @@ let multiplayerRoomId = null;
 let multiplayerHostColor = null;
 let isCreatingInvite = false;
 let multiplayerPlayerColor = null;
-let lastStoneSyncAt = 0;
+let multiplayerResumeToken = null;
+let multiplayerConnectionStatus = null;
+let multiplayerActiveColorAtDisconnect = null;
+let hasMultiplayerGameState = false;
+let isMultiplayerSpectator = false;
 let wasPhysicsRunning = false;
 let wasScoringSequenceActive = false;
 let lastFriendTurnIsLocal = null;
 let lastFriendActiveColor = null;
 let lastPendingRoundActionSent = null;
 let nextEndCountdownTimer = null;
+let shotSettlePending = false;
+let practiceGhostEnabled = false;
+let practiceRotationDirection = 0;
+let practiceBoardsEnabled = false;
+let ghostPrediction = null;
+let measureResults = null;
+let isManualMeasure = false;
+let measureAvailability = null;
+let telemetryPanel = null;
 
 const HOUSE_RADIUS = MEASUREMENTS.rings.redOuter;
+const MULTIPLAYER_SESSION_STORAGE_KEY = 'curling-multiplayer-session';
 
 function buildTrayLookup(configs) {
 	const map = new Map();
@@ -175,26 +236,36 @@ const trayBaseY = SHEET_EXTENTS.yMin + STONE_TRAY_BOTTOM_MARGIN;
 const redTrayBaseX = SHEET_EXTENTS.xMin + STONE_TRAY_SIDE_MARGIN;
 const yellowTrayBaseX = SHEET_EXTENTS.xMax - STONE_TRAY_SIDE_MARGIN;
 
-const redStoneConfigs = createTeamStoneConfigs({
-	color: StoneColor.RED,
-	baseX: redTrayBaseX,
-	baseY: trayBaseY,
-	direction: 1
-});
+const STANDARD_STONES_PER_TEAM = STONE_TRAY_ROWS * STONE_TRAY_COLUMNS;
 
-const yellowStoneConfigs = createTeamStoneConfigs({
-	color: StoneColor.YELLOW,
-	baseX: yellowTrayBaseX,
-	baseY: trayBaseY,
-	direction: -1
-});
+function createDefaultGameSettings(mode) {
+	const isMixedDoubles = mode === GameMode.MIXED_DOUBLES;
+	return {
+		mode,
+		ends: isMixedDoubles ? MIXED_DOUBLES_ENDS : BASE_ENDS,
+		thinkTimeSeconds: isMixedDoubles ? MIXED_DOUBLES_THINK_TIME_SECONDS : TEAM_THINK_TIME_SECONDS,
+		stonesPerTeam: isMixedDoubles ? MIXED_DOUBLES_STONES_PER_TEAM : STANDARD_STONES_PER_TEAM,
+		allowExtraEnds: true,
+		iceProfile: DEFAULT_ICE_PROFILE,
+		iceSeed: 0,
+		boundaryRule: DEFAULT_BOUNDARY_RULE,
+		teamNames: {
+			[StoneColor.RED]: 'Red',
+			[StoneColor.YELLOW]: 'Yellow'
+		},
+		rosters: {
+			[StoneColor.RED]: ['', '', '', ''],
+			[StoneColor.YELLOW]: ['', '', '', '']
+		}
+	};
+}
 
-const STONES_PER_TEAM = Math.max(redStoneConfigs.length, yellowStoneConfigs.length);
+let gameSettings = createDefaultGameSettings(GameMode.MENU);
 
-const trayPositionLookup = {
-	[StoneColor.RED]: buildTrayLookup(redStoneConfigs),
-	[StoneColor.YELLOW]: buildTrayLookup(yellowStoneConfigs)
-};
+let redStoneConfigs = [];
+let yellowStoneConfigs = [];
+let stonesPerTeam = 0;
+const trayPositionLookup = {};
 
 function loadStaticImage(src) {
 	const img = new Image();
@@ -214,9 +285,31 @@ const audioManager = createAudioManager({
 	getLastLaunchedStoneKey: () => lastLaunchedStoneKey
 });
 
+function createIceSurface() {
+	return new IceSurface({
+		sheetExtents: SHEET_EXTENTS,
+		profile: ICE_PROFILES[gameSettings.iceProfile] ?? ICE_PROFILES[DEFAULT_ICE_PROFILE],
+		seed: gameSettings.iceSeed ?? 0
+	});
+}
+
+function getBoundaryRules() {
+	const rule = BOUNDARY_RULES[gameSettings.boundaryRule] ?? BOUNDARY_RULES[DEFAULT_BOUNDARY_RULE];
+	return { boundaryMode: rule.boundaryMode, arenaOutRule: rule.arenaOutRule };
+}
+
+function applySheetSettings() {
+	physicsEngine.setIceSurface(createIceSurface());
+	physicsEngine.setBoundaryRules(getBoundaryRules());
+}
+
 const physicsEngine = new PhysicsEngine({
 	launchY: LAUNCH_START_Y,
+	iceSurface: createIceSurface(),
+	...getBoundaryRules(),
 	stoneRadius: STONE_RADIUS,
+	stoneMass: STONE_WEIGHT,
+	backLineNear: BACK_LINE_NEAR_Y,
 	hogLineNear: HOG_LINE_NEAR_Y,
 	hogLineFar: HOG_LINE_FAR_Y,
 	sheetExtents: SHEET_EXTENTS,
@@ -225,10 +318,11 @@ const physicsEngine = new PhysicsEngine({
 	onHogSplit: handleHogFarCross,
 	onHogNearCross: handleHogNearCross,
 	onStoneCollision: audioManager.handleStoneCollision,
+	onBoardCollision: audioManager.handleStoneCollision,
 	onStoneOut: audioManager.handleStoneOut
 });
 
-physicsEngine.initializeStones([...redStoneConfigs, ...yellowStoneConfigs]);
+configureTeamStones(STANDARD_STONES_PER_TEAM);
 
 const redOutTraySlots = createOutTraySlots({
 	baseX: RED_FAR_TRAY_BASE_X,
@@ -247,25 +341,254 @@ physicsEngine.setOutTrayLayouts({
 	[StoneColor.YELLOW]: yellowOutTraySlots
 });
 
+function createReplayPhysicsEngine(count = stonesPerTeam) {
+	const engine = new PhysicsEngine({
+		launchY: LAUNCH_START_Y,
+		stoneRadius: STONE_RADIUS,
+		stoneMass: STONE_WEIGHT,
+		backLineNear: BACK_LINE_NEAR_Y,
+		hogLineNear: HOG_LINE_NEAR_Y,
+		hogLineFar: HOG_LINE_FAR_Y,
+		sheetExtents: SHEET_EXTENTS,
+		backLineY: BACK_LINE_Y,
+		iceSurface: createIceSurface(),
+		...getBoundaryRules()
+	});
+	const { red, yellow } = createStoneConfigs(count);
+	engine.initializeStones([...red, ...yellow]);
+	engine.setOutTrayLayouts({
+		[StoneColor.RED]: redOutTraySlots,
+		[StoneColor.YELLOW]: yellowOutTraySlots
+	});
+	return engine;
+}
+
+function createStoneConfigs(count) {
+	return {
+		red: createTeamStoneConfigs({
+			color: StoneColor.RED,
+			baseX: redTrayBaseX,
+			baseY: trayBaseY,
+			direction: 1,
+			count
+		}),
+		yellow: createTeamStoneConfigs({
+			color: StoneColor.YELLOW,
+			baseX: yellowTrayBaseX,
+			baseY: trayBaseY,
+			direction: -1,
+			count
+		})
+	};
+}
+
 let wakeLockSentinel = null;
+function configureTeamStones(count) {
+	const stoneConfigs = createStoneConfigs(count);
+	redStoneConfigs = stoneConfigs.red;
+	yellowStoneConfigs = stoneConfigs.yellow;
+	stonesPerTeam = count;
+	trayPositionLookup[StoneColor.RED] = buildTrayLookup(redStoneConfigs);
+	trayPositionLookup[StoneColor.YELLOW] = buildTrayLookup(yellowStoneConfigs);
+	physicsEngine.initializeStones([...redStoneConfigs, ...yellowStoneConfigs]);
+}
+
+function runCoinToss(onHammerChosen) {
+	const tossWinner = Math.random() < 0.5 ? StoneColor.RED : StoneColor.YELLOW;
+	const winnerName = getTeamName(tossWinner);
+	if (currentMode === GameMode.AI && tossWinner === aiController.getAIColor()) {
+		uiController.showCenterNote(`${winnerName} wins the coin toss and takes the hammer.`);
+		onHammerChosen(tossWinner);
+		return;
+	}
+	uiController.showChoicePrompt({
+		message: `${winnerName} wins the coin toss.`,
+		options: [
+			{ label: 'Take the hammer', onSelect: () => onHammerChosen(tossWinner) },
+			{ label: 'Throw first', onSelect: () => onHammerChosen(getOppositeColor(tossWinner)) }
+		]
+	});
+}
+
+function startNewGame() {
+	saveGameController.clear();
+	replayController.clearRecordings();
+	gameSettings = { ...gameSettings, iceSeed: Math.floor(Math.random() * 0x7fffffff) };
+	applySheetSettings();
+	gameplayController.resetGameState();
+	gameRecordController.startGame();
+	telemetryController.reset();
+	rosterController.reset();
+	if (currentMode === GameMode.FRIEND) {
+		gameplayController.startNewEnd(startingTeamColor);
+		return;
+	}
+	runCoinToss((chosenHammerColor) => {
+		gameplayController.startNewEnd(getOppositeColor(chosenHammerColor));
+	});
+}
+
+function openGameSetup(mode, title, startGame) {
+	uiController.setMenuVisible(false);
+	const settings = gameSettings.mode === mode ? gameSettings : createDefaultGameSettings(mode);
+	uiController.showGameSetup({
+		title,
+		settings,
+		endOptions: GAME_END_OPTIONS,
+		thinkTimeOptions: THINK_TIME_OPTIONS_SECONDS,
+		stonesPerTeamOptions: mode === GameMode.MIXED_DOUBLES
+			? [MIXED_DOUBLES_STONES_PER_TEAM]
+			: STONES_PER_TEAM_OPTIONS,
+		iceProfileOptions: Object.entries(ICE_PROFILES).map(([value, profile]) => ({ value, label: profile.label })),
+		boundaryRuleOptions: Object.entries(BOUNDARY_RULES).map(([value, rule]) => ({ value, label: rule.label })),
+		rosterPositions: mode === GameMode.MIXED_DOUBLES ? [] : ROSTER_POSITIONS,
+		onStart: (chosenSettings) => {
+			gameSettings = { ...chosenSettings, mode };
+			startGame();
+		},
+		onCancel: () => uiController.setMenuVisible(true)
+	});
+}
+
 function startTwoPlayerGame() {
 	currentMode = GameMode.TWO_PLAYER;
 	minimapHidden = false;
 	hideMenu();
-	gameplayController.resetGameState();
-	gameplayController.startNewEnd(StoneColor.RED);
+	startNewGame();
+}
+
+function startMixedDoublesGame() {
+	currentMode = GameMode.MIXED_DOUBLES;
+	minimapHidden = false;
+	hideMenu();
+	mixedDoublesController.reset();
+	startNewGame();
+}
+
+function startAIGame() {
+	currentMode = GameMode.AI;
+	minimapHidden = false;
+	hideMenu();
+	aiController.reset();
+	startNewGame();
+}
+
+function resumeSavedGame() {
+	hideMenu();
+	aiController.reset();
+	inputController.resetInteractions();
+	if (!saveGameController.restore()) {
+		showMenu();
+		uiController.showCenterNote('Saved game could not be loaded.');
+		return;
+	}
+	invalidateMeasureAvailability();
+	minimapHidden = false;
+	readyStoneKey = null;
+	lastLaunchedStoneKey = null;
+	nextTeamColorPending = null;
+	scoringSequence = null;
+	isGameOver = false;
+	for (const stone of physicsEngine.getStones()) {
+		const template = trayPositionLookup[stone.color]?.get(stone.number);
+		if (!stone.isLaunched && !stone.isOut && template) {
+			stone.position = { ...template };
+		}
+	}
+	if (isEndInProgress) {
+		setActiveTeamColor(getColorForThrowIndex(currentThrowIndex));
+	}
+	timerDisplayColor = scoreboardState.activeTeamColor;
+	updateTimerVisibility();
+	updateTimerLabel();
+	renderScoreboard();
+	setScoreboardVisible(!!pendingRoundAction);
+}
+
+function openReplay() {
+	if (!replayController.startReplay(currentEndIndex - 1)) {
+		return;
+	}
+	inputController.resetInteractions();
+	setScoreboardVisible(false);
+	hideEndScoreAnnouncement();
+	uiController.setReplayControlsVisible(true);
+}
+
+function getPlaybackController() {
+	return currentMode === GameMode.VIEWER ? recordViewerController : replayController;
+}
+
+function exportGameRecord() {
+	const record = gameRecordController.getRecord();
+	if (!record) {
+		return;
+	}
+	const stamp = record.metadata.createdAt.slice(0, 19).replace(/[:T]/g, '-');
+	uiController.downloadFile(`curling-game-${stamp}.json`, gameRecordController.exportRecord());
+}
+
+async function importGameRecord() {
+	let record;
+	try {
+		record = gameRecordController.parseRecord(await uiController.pickFile({ accept: '.json,application/json' }));
+	} catch (error) {
+		console.warn('Failed to import game record:', error);
+		uiController.showCenterNote(`Game record could not be loaded. ${error.message}`);
+		return;
+	}
+	openRecordViewer(record);
+}
+
+function openRecordViewer(record) {
+	hideMenu();
+	currentMode = GameMode.VIEWER;
+	inputController.resetInteractions();
+	if (!recordViewerController.open(record)) {
+		showMenu();
+		uiController.showCenterNote('Game record has no ends to show.');
+		return;
+	}
+	minimapHidden = false;
+	readyStoneKey = null;
+	updateTimerVisibility();
+	camera.y = SCORE_CAMERA_TARGET_Y;
+	clampCameraPosition();
+	uiController.setReplayControlsVisible(true);
+}
+
+function closePlayback() {
+	if (currentMode === GameMode.VIEWER) {
+		showMenu();
+		return;
+	}
+	closeReplay();
+}
+
+function closeReplay() {
+	replayController.stopReplay();
+	uiController.setReplayControlsVisible(false);
+	camera.y = SCORE_CAMERA_TARGET_Y;
+	clampCameraPosition();
+	setScoreboardVisible(true);
 }
 
 function startPracticeGame() {
 	currentMode = GameMode.PRACTICE;
+	gameSettings = { ...createDefaultGameSettings(currentMode), boundaryRule: getPracticeBoundaryRule() };
+	applySheetSettings();
 	minimapHidden = false;
 	hideMenu();
 	gameplayController.resetGameState();
+	telemetryController.reset();
+	rosterController.reset();
 	setScoreboardVisible(false);
 	gameplayController.startNewEnd(StoneColor.RED);
 }
 
 function startTutorial() {
+	gameSettings = createDefaultGameSettings(GameMode.TUTORIAL);
+	applySheetSettings();
 	tutorialController.startTutorial();
 }
 
@@ -275,6 +598,7 @@ async function startFriendGame() {
 	uiController.setMultiplayerInviteVisible(true);
 	uiController.setMultiplayerInviteStatus('Choose your color to create an invite.');
 	uiController.setMultiplayerInviteLink('');
+	uiController.setMultiplayerSpectatorLink('');
 	uiController.setMultiplayerInviteCreateEnabled(true);
 }
 
@@ -283,6 +607,7 @@ async function createFriendRoom(selectedColor) {
 		return;
 	}
 	isCreatingInvite = true;
+	isMultiplayerSpectator = false;
 	uiController.setMultiplayerInviteStatus('Creating invite...');
 	uiController.setMultiplayerInviteCreateEnabled(false);
 	try {
@@ -290,8 +615,11 @@ async function createFriendRoom(selectedColor) {
 		const response = await multiplayerConnection.invoke('CreateRoom', selectedColor);
 		multiplayerRoomId = response.roomId;
 		multiplayerHostColor = response.hostColor;
+		multiplayerResumeToken = response.resumeToken;
+		storeMultiplayerSession(response.hostColor);
 		const inviteLink = buildInviteLink(response.roomId);
 		uiController.setMultiplayerInviteLink(inviteLink);
+		uiController.setMultiplayerSpectatorLink(buildInviteLink(response.roomId, 'spectator'));
 		uiController.setMultiplayerInviteStatus('Share this link with your friend. Waiting for them to join...');
 	} catch (error) {
 		console.warn('Failed to create multiplayer room:', error);
@@ -313,6 +641,9 @@ function setActiveTeamColor(color) {
 }
 
 function resetStonesToHomeTrays() {
+	if (gameSettings.stonesPerTeam !== stonesPerTeam) {
+		configureTeamStones(gameSettings.stonesPerTeam);
+	}
 	const stones = physicsEngine.getStones();
 	for (const stone of stones) {
 		if (currentMode === GameMode.PRACTICE && stone.color === StoneColor.YELLOW) {
@@ -332,8 +663,11 @@ function resetStonesToHomeTrays() {
 		stone.isLaunched = false;
 		stone.isOut = false;
 		stone.hasStoppedNotified = true;
+		stone.hogLineViolation = false;
 	}
 	physicsEngine.resetOutTrayIndices?.();
+	mixedDoublesController.placePositionedStones();
+	invalidateMeasureAvailability();
 	clearCameraFollowStone();
 }
 
@@ -365,28 +699,62 @@ configureCamera({
 	minZoom: 0.5
 });
 
-function buildInviteLink(roomId) {
+function buildInviteLink(roomId, role = null) {
 	const baseUrl = `${window.location.origin}${window.location.pathname}`;
-	return `${baseUrl}?room=${roomId}`;
+	const roleParam = role ? `&role=${role}` : '';
+	const transportParam = multiplayerTransport === MultiplayerTransport.LOCAL ? `&transport=${multiplayerTransport}` : '';
+	return `${baseUrl}?room=${roomId}${roleParam}${transportParam}`;
 }
 
 async function ensureMultiplayerConnection() {
-	if (!signalR) {
-		throw new Error('SignalR client is unavailable.');
-	}
 	if (multiplayerConnection) {
 		return;
 	}
-	const connection = new signalR.HubConnectionBuilder()
-		.withUrl('/multiplayer')
-		.withAutomaticReconnect()
-		.build();
+	const connection = createMultiplayerConnection({
+		transport: multiplayerTransport,
+		signalR,
+		hubUrl: '/multiplayer',
+		getReconnectDelay
+	});
+
+	connection.onreconnecting(() => {
+		if (!hasMultiplayerSession()) {
+			return;
+		}
+		multiplayerActiveColorAtDisconnect = scoreboardState.activeTeamColor;
+		inputController.resetInteractions();
+		setMultiplayerConnectionStatus('reconnecting', MULTIPLAYER_RECONNECT_GRACE_SECONDS);
+	});
+
+	connection.onreconnected(() => {
+		if (!hasMultiplayerSession()) {
+			return;
+		}
+		const resume = isMultiplayerSpectator ? joinSpectatorRoom : resumeMultiplayerRoom;
+		resume().catch((error) => {
+			console.warn('Failed to resume multiplayer room:', error);
+			endMultiplayerSession('The game could not be resumed.');
+		});
+	});
+
+	connection.onclose(() => {
+		multiplayerConnection = null;
+		if (!hasMultiplayerSession()) {
+			return;
+		}
+		endMultiplayerSession('Connection lost. The game has ended.');
+	});
 
 	connection.on('PlayerJoined', (roomData) => {
 		if (!roomData || roomData.roomId !== multiplayerRoomId) {
 			return;
 		}
 		multiplayerHostColor = roomData.hostColor;
+		if (isMultiplayerSpectator) {
+			startMultiplayerGame(roomData.startingColor, null);
+			uiController.showCenterNote('You are watching this game.');
+			return;
+		}
 		uiController.setMultiplayerInviteVisible(false);
 		startMultiplayerGame(roomData.startingColor, roomData.hostColor);
 		showMultiplayerRoleNote(roomData.hostColor, roomData.startingColor);
@@ -396,6 +764,8 @@ async function ensureMultiplayerConnection() {
 		if (!roomData || roomData.roomId !== multiplayerRoomId) {
 			return;
 		}
+		multiplayerResumeToken = roomData.resumeToken;
+		storeMultiplayerSession(roomData.guestColor);
 		uiController.setMultiplayerInviteVisible(false);
 		startMultiplayerGame(roomData.startingColor, roomData.guestColor);
 		showMultiplayerRoleNote(roomData.guestColor, roomData.startingColor);
@@ -405,10 +775,58 @@ async function ensureMultiplayerConnection() {
 		if (!gameData || gameData.roomId !== multiplayerRoomId) {
 			return;
 		}
-		uiController.setMultiplayerInviteVisible(false);
-		multiplayerRoomId = null;
-		showMenu();
-		uiController.showCenterNote('The other player left the game.');
+		endMultiplayerSession(isMultiplayerSpectator ? 'A player left the game.' : 'The other player left the game.');
+	});
+
+	connection.on('OpponentDisconnected', (disconnectData) => {
+		if (!disconnectData || disconnectData.roomId !== multiplayerRoomId) {
+			return;
+		}
+		inputController.resetInteractions();
+		setMultiplayerConnectionStatus('waiting', disconnectData.graceSeconds);
+	});
+
+	connection.on('OpponentReconnected', (reconnectData) => {
+		if (!reconnectData || reconnectData.roomId !== multiplayerRoomId) {
+			return;
+		}
+		setMultiplayerConnectionStatus(null);
+	});
+
+	connection.on('ResumeStateRequested', (requestData) => {
+		if (!requestData || requestData.roomId !== multiplayerRoomId || isMultiplayerSpectator) {
+			return;
+		}
+		if (!hasMultiplayerGameState) {
+			if (multiplayerConnectionStatus?.kind === 'syncing') {
+				endMultiplayerSession('The game could not be resumed.');
+				return;
+			}
+			setMultiplayerConnectionStatus('syncing', MULTIPLAYER_RECONNECT_GRACE_SECONDS);
+			multiplayerConnection?.invoke('RequestResumeState', multiplayerRoomId).catch(() => {});
+			return;
+		}
+		setMultiplayerConnectionStatus(null);
+		sendResumeState();
+	});
+
+	connection.on('SpectatorStateRequested', (requestData) => {
+		if (!requestData || requestData.roomId !== multiplayerRoomId || !hasMultiplayerGameState) {
+			return;
+		}
+		multiplayerConnection
+			?.invoke('SendSpectatorState', multiplayerRoomId, requestData.spectatorConnectionId, buildResumeState())
+			.catch((error) => {
+				console.warn('Failed to send spectator state:', error);
+			});
+	});
+
+	connection.on('ResumeState', (state) => {
+		if (!multiplayerRoomId || !state) {
+			return;
+		}
+		applyResumeState(state);
+		setMultiplayerConnectionStatus(null);
 	});
 
 	connection.on('TimerUpdate', (timerData) => {
@@ -429,25 +847,32 @@ async function ensureMultiplayerConnection() {
 		updateTimerLabel();
 	});
 
-	connection.on('StoneUpdates', (updates) => {
+	connection.on('StoneLaunched', (launch) => {
+		if (!multiplayerRoomId || isLocalPlayersTurn()) {
+			return;
+		}
+		friendSyncController.receiveLaunch(launch);
+	});
+
+	connection.on('ThrowEvents', (batch) => {
 		if (!multiplayerRoomId || isLocalPlayersTurn()) {
 			return;
 		}
-		applyStoneUpdates(updates);
+		friendSyncController.receiveThrowEvents(batch);
 	});
 
 	connection.on('StoneSnapshot', (snapshot) => {
 		if (!multiplayerRoomId || isLocalPlayersTurn()) {
 			return;
 		}
-		applyStoneSnapshot(snapshot);
+		friendSyncController.receiveSnapshot(snapshot);
 	});
 
 	connection.on('TurnChanged', (turnData) => {
 		if (!turnData || turnData.roomId !== multiplayerRoomId) {
 			return;
 		}
-		setRemoteTurn(turnData);
+		friendSyncController.runWhenSettled(() => setRemoteTurn(turnData));
 	});
 
 	connection.on('EndScored', (endData) => {
@@ -457,8 +882,10 @@ async function ensureMultiplayerConnection() {
 		if (isLocalPlayersTurn()) {
 			return;
 		}
-		gameplayController.scoreCurrentEnd();
-		showLastEndScoreAnnouncement();
+		friendSyncController.runWhenSettled(() => {
+			gameplayController.scoreCurrentEnd();
+			showLastEndScoreAnnouncement();
+		});
 	});
 
 	connection.on('NextEndCountdown', (countdownData) => {
@@ -469,14 +896,247 @@ async function ensureMultiplayerConnection() {
 	});
 
 	multiplayerConnection = connection;
-	await multiplayerConnection.start();
+	try {
+		await multiplayerConnection.start();
+	} catch (error) {
+		multiplayerConnection = null;
+		throw error;
+	}
 }
 
-function sendStoneUpdates(stones) {
-	if (!multiplayerConnection || !multiplayerRoomId || !stones.length) {
+function getReconnectDelay({ previousRetryCount, elapsedMilliseconds }) {
+	if (elapsedMilliseconds >= MULTIPLAYER_RECONNECT_GRACE_SECONDS * 1000) {
+		return null;
+	}
+	return Math.min(
+		MULTIPLAYER_RECONNECT_MAX_DELAY_MS,
+		MULTIPLAYER_RECONNECT_BASE_DELAY_MS * 2 ** previousRetryCount
+	);
+}
+
+function getSessionStorage() {
+	try {
+		return window.sessionStorage ?? null;
+	} catch (error) {
+		return null;
+	}
+}
+
+function storeMultiplayerSession(playerColor) {
+	const storage = getSessionStorage();
+	if (!storage || !multiplayerRoomId || !multiplayerResumeToken) {
+		return;
+	}
+	try {
+		storage.setItem(
+			MULTIPLAYER_SESSION_STORAGE_KEY,
+			JSON.stringify({ roomId: multiplayerRoomId, resumeToken: multiplayerResumeToken, playerColor })
+		);
+	} catch (error) {
+		console.warn('Failed to store multiplayer session:', error);
+	}
+}
+
+function loadMultiplayerSession() {
+	const raw = getSessionStorage()?.getItem(MULTIPLAYER_SESSION_STORAGE_KEY);
+	if (!raw) {
+		return null;
+	}
+	try {
+		const session = JSON.parse(raw);
+		return typeof session?.roomId === 'string' && typeof session?.resumeToken === 'string' ? session : null;
+	} catch (error) {
+		console.warn('Failed to read multiplayer session:', error);
+		return null;
+	}
+}
+
+function clearMultiplayerSession() {
+	multiplayerResumeToken = null;
+	try {
+		getSessionStorage()?.removeItem(MULTIPLAYER_SESSION_STORAGE_KEY);
+	} catch (error) {
+		console.warn('Failed to clear multiplayer session:', error);
+	}
+}
+
+function hasMultiplayerSession() {
+	return !!multiplayerRoomId && (!!multiplayerResumeToken || isMultiplayerSpectator);
+}
+
+function setMultiplayerConnectionStatus(kind, graceSeconds = 0) {
+	multiplayerConnectionStatus = kind ? { kind, deadline: performance.now() + graceSeconds * 1000 } : null;
+}
+
+function endMultiplayerSession(message) {
+	multiplayerRoomId = null;
+	multiplayerActiveColorAtDisconnect = null;
+	hasMultiplayerGameState = false;
+	isMultiplayerSpectator = false;
+	setMultiplayerConnectionStatus(null);
+	clearMultiplayerSession();
+	uiController.setMultiplayerInviteVisible(false);
+	showMenu();
+	uiController.showCenterNote(message);
+}
+
+async function resumeMultiplayerRoom() {
+	const response = await multiplayerConnection.invoke('ResumeRoom', multiplayerRoomId, multiplayerResumeToken);
+	multiplayerPlayerColor = response.playerColor === 'yellow' ? StoneColor.YELLOW : StoneColor.RED;
+	const wasLocalTurn = hasMultiplayerGameState && multiplayerActiveColorAtDisconnect === multiplayerPlayerColor;
+	multiplayerActiveColorAtDisconnect = null;
+	if (!response.opponentConnected) {
+		setMultiplayerConnectionStatus('waiting', response.graceSecondsRemaining);
+		return;
+	}
+	if (wasLocalTurn) {
+		setMultiplayerConnectionStatus(null);
+		sendResumeState();
+		if (isEndInProgress) {
+			sendServerStartTurn(scoreboardState.activeTeamColor);
+		}
+		return;
+	}
+	setMultiplayerConnectionStatus('syncing', MULTIPLAYER_RECONNECT_GRACE_SECONDS);
+	await multiplayerConnection.invoke('RequestResumeState', multiplayerRoomId);
+}
+
+async function resumeFriendGame(session) {
+	hideMenu();
+	setupMultiplayerGame();
+	multiplayerRoomId = session.roomId;
+	multiplayerResumeToken = session.resumeToken;
+	multiplayerPlayerColor = session.playerColor === 'yellow' ? StoneColor.YELLOW : StoneColor.RED;
+	hasMultiplayerGameState = false;
+	setMultiplayerConnectionStatus('reconnecting', MULTIPLAYER_RECONNECT_GRACE_SECONDS);
+	updateTimerVisibility();
+	const startedAt = performance.now();
+	for (let attempt = 0; ; attempt += 1) {
+		try {
+			await ensureMultiplayerConnection();
+			await resumeMultiplayerRoom();
+			return;
+		} catch (error) {
+			console.warn('Failed to resume multiplayer room:', error);
+			const delay = getReconnectDelay({
+				previousRetryCount: attempt,
+				elapsedMilliseconds: performance.now() - startedAt
+			});
+			if (delay == null || error?.message?.includes('Room not available')) {
+				endMultiplayerSession('The game could not be resumed.');
+				return;
+			}
+			await new Promise((resolve) => window.setTimeout(resolve, delay));
+		}
+	}
+}
+
+function buildResumeState() {
+	return {
+		stones: getAllStonePayloads(),
+		teams: scoreboardState.teams.map((team) => ({
+			stoneColor: team.stoneColor,
+			scores: team.scores.map(String),
+			total: team.total
+		})),
+		currentEndIndex,
+		currentThrowIndex,
+		activeColor: scoreboardState.activeTeamColor,
+		startingColor: startingTeamColor,
+		hammerColor,
+		isEndInProgress
+	};
+}
+
+function sendResumeState() {
+	if (!multiplayerConnection || !multiplayerRoomId) {
+		return;
+	}
+	multiplayerConnection.invoke('SendResumeState', multiplayerRoomId, buildResumeState()).catch((error) => {
+		console.warn('Failed to send resume state:', error);
+	});
+}
+
+function applyResumeState(state) {
+	(state.teams ?? []).forEach((savedTeam) => {
+		const team = scoreboardState.teams.find((entry) => entry.stoneColor === savedTeam.stoneColor);
+		if (!team) {
+			return;
+		}
+		team.scores = [...savedTeam.scores];
+		team.total = savedTeam.total;
+	});
+	currentEndIndex = state.currentEndIndex ?? currentEndIndex;
+	currentThrowIndex = state.currentThrowIndex ?? currentThrowIndex;
+	startingTeamColor = state.startingColor === 'yellow' ? StoneColor.YELLOW : StoneColor.RED;
+	hammerColor = state.hammerColor ?? null;
+	isEndInProgress = !!state.isEndInProgress;
+	scoringSequence = null;
+	readyStoneKey = null;
+	nextTeamColorPending = null;
+	inputController.resetInteractions();
+	friendSyncController.reset();
+	remoteSmoothingController.applyCorrection(() => applyStoneSnapshot(state.stones));
+	for (const stone of physicsEngine.getStones()) {
+		const template = trayPositionLookup[stone.color]?.get(stone.number);
+		if (!stone.isLaunched && !stone.isOut && template) {
+			stone.position = { ...template };
+		}
+	}
+	hasMultiplayerGameState = true;
+	lastFriendTurnIsLocal = null;
+	setActiveTeamColor(state.activeColor === 'yellow' ? StoneColor.YELLOW : StoneColor.RED);
+	renderScoreboard();
+}
+
+function updateConnectionOverlay() {
+	const status = currentMode === GameMode.FRIEND && !menuVisible ? multiplayerConnectionStatus : null;
+	if (!status) {
+		uiController.setConnectionOverlayState({ visible: false });
+		return;
+	}
+	const secondsLeft = Math.max(0, Math.ceil((status.deadline - performance.now()) / 1000));
+	if (status.kind === 'syncing' && secondsLeft === 0) {
+		endMultiplayerSession('The game could not be resumed.');
+		return;
+	}
+	if (status.kind === 'waiting') {
+		uiController.setConnectionOverlayState({
+			visible: true,
+			title: isMultiplayerSpectator ? 'Game paused' : 'Waiting for opponent',
+			message: isMultiplayerSpectator
+				? `A player lost their connection. The game ends in ${secondsLeft} s if they do not return.`
+				: `The other player lost their connection. The game ends in ${secondsLeft} s if they do not return.`
+		});
+		return;
+	}
+	if (status.kind === 'reconnecting') {
+		uiController.setConnectionOverlayState({
+			visible: true,
+			title: 'Connection lost',
+			message: `Reconnecting… ${secondsLeft} s left.`
+		});
+		return;
+	}
+	uiController.setConnectionOverlayState({
+		visible: true,
+		title: isMultiplayerSpectator ? 'Joining game' : 'Reconnected',
+		message: isMultiplayerSpectator ? 'Loading the current game…' : 'Restoring the game…'
+	});
+}
+
+function sendStoneLaunch(launch) {
+	if (!multiplayerConnection || !multiplayerRoomId) {
+		return;
+	}
+	multiplayerConnection.invoke('LaunchStone', multiplayerRoomId, launch).catch(() => {});
+}
+
+function sendThrowEvents(batch) {
+	if (!multiplayerConnection || !multiplayerRoomId) {
 		return;
 	}
-	multiplayerConnection.invoke('UpdateStoneStates', multiplayerRoomId, stones).catch(() => {});
+	multiplayerConnection.invoke('SendThrowEvents', multiplayerRoomId, batch).catch(() => {});
 }
 
 function sendStoneSnapshot(stones) {
@@ -502,14 +1162,14 @@ function sendEndScoredNotification() {
 }
 
 function requestNextEndCountdown(seconds = 5) {
-	if (!multiplayerConnection || !multiplayerRoomId) {
+	if (!multiplayerConnection || !multiplayerRoomId || isMultiplayerSpectator) {
 		return;
 	}
 	multiplayerConnection.invoke('StartNextEndCountdown', multiplayerRoomId, seconds).catch(() => {});
 }
 
 function sendServerStartTurn(color) {
-	if (currentMode !== GameMode.FRIEND || !multiplayerConnection || !multiplayerRoomId) {
+	if (currentMode !== GameMode.FRIEND || !multiplayerConnection || !multiplayerRoomId || isMultiplayerSpectator) {
 		return;
 	}
 	const colorName = color === StoneColor.YELLOW ? 'yellow' : 'red';
@@ -517,7 +1177,7 @@ function sendServerStartTurn(color) {
 }
 
 function sendServerStopTurn() {
-	if (currentMode !== GameMode.FRIEND || !multiplayerConnection || !multiplayerRoomId) {
+	if (currentMode !== GameMode.FRIEND || !multiplayerConnection || !multiplayerRoomId || isMultiplayerSpectator) {
 		return;
 	}
 	multiplayerConnection.invoke('StopTurn', multiplayerRoomId).catch(() => {});
@@ -525,6 +1185,7 @@ function sendServerStopTurn() {
 
 async function joinFriendGame(roomId) {
 	uiController.setMultiplayerInviteRole('guest');
+	isMultiplayerSpectator = false;
 	try {
 		hideMenu();
 		await ensureMultiplayerConnection();
@@ -540,6 +1201,35 @@ async function joinFriendGame(roomId) {
 	}
 }
 
+async function spectateFriendGame(roomId) {
+	hideMenu();
+	setupMultiplayerGame();
+	isMultiplayerSpectator = true;
+	multiplayerPlayerColor = null;
+	multiplayerRoomId = roomId;
+	hasMultiplayerGameState = false;
+	updateTimerVisibility();
+	updateMultiplayerTurnState();
+	try {
+		await ensureMultiplayerConnection();
+		await joinSpectatorRoom();
+	} catch (error) {
+		console.warn('Failed to watch multiplayer room:', error);
+		endMultiplayerSession('Unable to watch this game. Please check the link.');
+	}
+}
+
+async function joinSpectatorRoom() {
+	const response = await multiplayerConnection.invoke('SpectateRoom', multiplayerRoomId);
+	multiplayerHostColor = response.hostColor;
+	if (!response.isStarted) {
+		setMultiplayerConnectionStatus(null);
+		uiController.showCenterNote('Waiting for the players to start…');
+		return;
+	}
+	setMultiplayerConnectionStatus('syncing', MULTIPLAYER_RECONNECT_GRACE_SECONDS);
+}
+
 function showMultiplayerRoleNote(playerColor, startingColor) {
 	const normalizedPlayerColor = playerColor === 'yellow' ? 'yellow' : 'red';
 	const normalizedStartingColor = startingColor === 'yellow' ? 'yellow' : 'red';
@@ -549,17 +1239,29 @@ function showMultiplayerRoleNote(playerColor, startingColor) {
 	uiController.showCenterNote(`You are ${normalizedPlayerColor}.\n${startLine}`);
 }
 
-function startMultiplayerGame(startingColor, playerColor) {
+function setupMultiplayerGame() {
 	currentMode = GameMode.FRIEND;
+	gameSettings = createDefaultGameSettings(currentMode);
+	applySheetSettings();
+	telemetryController.reset();
 	minimapHidden = false;
-	lastStoneSyncAt = 0;
+	friendSyncController.reset();
+	remoteSmoothingController.reset();
 	wasPhysicsRunning = false;
 	lastFriendTurnIsLocal = null;
 	lastFriendActiveColor = null;
 	gameplayController.resetGameState();
+	rosterController.reset();
+}
+
+function startMultiplayerGame(startingColor, playerColor) {
+	setupMultiplayerGame();
 	const normalizedStartingColor = startingColor === 'yellow' ? StoneColor.YELLOW : StoneColor.RED;
 	gameplayController.startNewEnd(normalizedStartingColor);
-	multiplayerPlayerColor = playerColor === 'yellow' ? StoneColor.YELLOW : StoneColor.RED;
+	hasMultiplayerGameState = true;
+	if (!isMultiplayerSpectator) {
+		multiplayerPlayerColor = playerColor === 'yellow' ? StoneColor.YELLOW : StoneColor.RED;
+	}
 	updateTimerVisibility();
 	updateTimerLabel();
 	sendServerStartTurn(normalizedStartingColor);
@@ -597,10 +1299,10 @@ function setActiveTurnCameraView() {
 }
 
 function updateMultiplayerTurnState() {
-	if (currentMode !== GameMode.FRIEND || !multiplayerPlayerColor) {
+	if (currentMode !== GameMode.FRIEND || (!multiplayerPlayerColor && !isMultiplayerSpectator)) {
 		return;
 	}
-	const isPlayerTurn = scoreboardState.activeTeamColor === multiplayerPlayerColor;
+	const isPlayerTurn = !isMultiplayerSpectator && scoreboardState.activeTeamColor === multiplayerPlayerColor;
 	if (lastFriendTurnIsLocal === isPlayerTurn && lastFriendActiveColor === scoreboardState.activeTeamColor) {
 		return;
 	}
@@ -619,18 +1321,23 @@ function updateMultiplayerTurnState() {
 }
 
 function isLocalPlayersTurn() {
-	return currentMode === GameMode.FRIEND
-		? (!multiplayerPlayerColor || scoreboardState.activeTeamColor === multiplayerPlayerColor)
-		: true;
+	if (currentMode !== GameMode.FRIEND) {
+		return true;
+	}
+	return !isMultiplayerSpectator && (!multiplayerPlayerColor || scoreboardState.activeTeamColor === multiplayerPlayerColor);
 }
 
-function isStoneMoving(stone) {
-	if (!stone?.isLaunched || stone.isOut) {
+function isInteractionAllowed() {
+	if (
+		!isLocalPlayersTurn() ||
+		mixedDoublesController.isAwaitingDecision() ||
+		replayController.isReplaying() ||
+		currentMode === GameMode.VIEWER ||
+		(currentMode === GameMode.FRIEND && !!multiplayerConnectionStatus)
+	) {
 		return false;
 	}
-	const speed = Math.hypot(stone.velocity?.vx ?? 0, stone.velocity?.vy ?? 0);
-	const rotation = Math.abs(stone.rotationRate ?? 0);
-	return speed > 0.01 || rotation > 0.01;
+	return !aiController.isAITurn() || !!pendingRoundAction;
 }
 
 function buildStonePayload(stone) {
@@ -646,13 +1353,6 @@ function buildStonePayload(stone) {
 	};
 }
 
-function getMovingStonePayloads() {
-	return physicsEngine
-		.getStones()
-		.filter((stone) => isStoneMoving(stone))
-		.map((stone) => buildStonePayload(stone));
-}
-
 function getAllStonePayloads() {
 	return physicsEngine.getStones().map((stone) => buildStonePayload(stone));
 }
@@ -675,27 +1375,12 @@ function applyStoneState(state) {
 	stone.hasStoppedNotified = !state.isLaunched;
 }
 
-function applyStoneUpdates(updates = []) {
-	if (!Array.isArray(updates)) {
-		return;
-	}
-	updates.forEach((state) => applyStoneState(state));
-	const hasMoving = updates.some((state) => {
-		const speed = Math.hypot(state.velocity?.x ?? 0, state.velocity?.y ?? 0);
-		const rotation = Math.abs(state.rotationRate ?? 0);
-		return speed > 0.01 || rotation > 0.01;
-	});
-	if (hasMoving) {
-		physicsEngine.isActive = true;
-		physicsEngine.lastTimestamp = null;
-	}
-}
-
 function applyStoneSnapshot(snapshot = []) {
 	if (!Array.isArray(snapshot)) {
 		return;
 	}
 	snapshot.forEach((state) => applyStoneState(state));
+	invalidateMeasureAvailability();
 	const hasMoving = snapshot.some((state) => {
 		const speed = Math.hypot(state.velocity?.x ?? 0, state.velocity?.y ?? 0);
 		const rotation = Math.abs(state.rotationRate ?? 0);
@@ -703,10 +1388,47 @@ function applyStoneSnapshot(snapshot = []) {
 	});
 	if (hasMoving) {
 		physicsEngine.isActive = true;
-		physicsEngine.lastTimestamp = null;
+		physicsEngine.resetClock();
 	} else {
 		physicsEngine.isActive = false;
-		physicsEngine.lastTimestamp = null;
+		physicsEngine.resetClock();
+	}
+}
+
+function launchRemoteStone(launch) {
+	const stone = physicsEngine.findStone(launch.color, launch.number);
+	if (!stone) {
+		return null;
+	}
+	currentThrowIndex = launch.throwIndex;
+	recordLaunch(stone, launch);
+	const launchedStone = physicsEngine.throwStone({
+		color: launch.color,
+		number: launch.number,
+		velocity: launch.velocity,
+		rotationRadiansPerSecond: launch.rotationRadiansPerSecond,
+		offsetX: launch.offsetX
+	});
+	lastLaunchedStoneKey = getStoneKey(launchedStone);
+	currentThrowIndex = launch.throwIndex + 1;
+	readyStoneKey = null;
+	renderScoreboard();
+	return launchedStone;
+}
+
+function applyRemoteThrowEvent(event) {
+	if (event.type === 'hogLineViolation') {
+		const stone = physicsEngine.findStone(event.color, event.number);
+		if (stone) {
+			handleHogLineViolation(stone);
+		}
+		return;
+	}
+	applyShotEvent(physicsEngine, event);
+	if (event.type === 'sweep') {
+		replayController.recordSweep(event.sweep);
+	} else if (event.type === 'rotation') {
+		replayController.recordRotation(physicsEngine.findStone(event.color, event.number), event.rotationRate);
 	}
 }
 
@@ -834,7 +1556,8 @@ function renderScoreboard() {
 	uiController.renderScoreboard({
 		scheduledEnds: gameplayController.getTotalScheduledEnds(),
 		currentEndIndex,
-		isGameOver
+		isGameOver,
+		hammerColor
 	});
 }
 
@@ -939,9 +1662,137 @@ function mountFriendTimer() {
 
 function mountPracticeBackButton() {
 	uiController.mountPracticeBackButton({ onClick: showMenu });
+	uiController.mountMeasureButton({ onClick: toggleMeasure });
+	uiController.mountPracticeTools({
+		onToggleGhost: () => {
+			practiceGhostEnabled = !practiceGhostEnabled;
+			updatePracticeToolsState();
+		},
+		onSelectRotation: (direction) => {
+			practiceRotationDirection = direction;
+			updatePracticeToolsState();
+		},
+		onToggleBoards: () => {
+			practiceBoardsEnabled = !practiceBoardsEnabled;
+			gameSettings = { ...gameSettings, boundaryRule: getPracticeBoundaryRule() };
+			physicsEngine.setBoundaryRules(getBoundaryRules());
+			updatePracticeToolsState();
+		}
+	});
+	updatePracticeToolsState();
 	updatePracticeBackVisibility();
 }
 
+function showMeasurement(results) {
+	measureResults = results;
+	isManualMeasure = false;
+	setCameraToHouse(HOUSE_RADIUS, MEASURE_HOUSE_MARGIN_METERS);
+}
+
+function hideMeasurement() {
+	if (!measureResults) {
+		return;
+	}
+	measureResults = null;
+	isManualMeasure = false;
+	restoreCameraFromHouse();
+}
+
+function invalidateMeasureAvailability() {
+	measureAvailability = null;
+}
+
+function hasMeasurableStones() {
+	if (
+		!measureAvailability ||
+		measureAvailability.endIndex !== currentEndIndex ||
+		measureAvailability.throwIndex !== currentThrowIndex
+	) {
+		measureAvailability = {
+			endIndex: currentEndIndex,
+			throwIndex: currentThrowIndex,
+			hasMeasurements: gameplayController.buildEndScoringPlan().measurements.length > 0
+		};
+	}
+	return measureAvailability.hasMeasurements;
+}
+
+function canMeasure() {
+	return (
+		!menuVisible &&
+		isEndInProgress &&
+		!scoringSequence &&
+		currentMode !== GameMode.VIEWER &&
+		!replayController.isReplaying() &&
+		!physicsEngine.isRunning() &&
+		!inputController.getDragState() &&
+		hasMeasurableStones()
+	);
+}
+
+function toggleMeasure() {
+	if (isManualMeasure) {
+		hideMeasurement();
+		setCameraToLaunchPosition(LAUNCH_START_Y);
+		return;
+	}
+	if (!canMeasure()) {
+		return;
+	}
+	showMeasurement(gameplayController.buildEndScoringPlan().measurements);
+	isManualMeasure = true;
+}
+
+function getPracticeBoundaryRule() {
+	return practiceBoardsEnabled ? 'restPosition' : DEFAULT_BOUNDARY_RULE;
+}
+
+function updatePracticeToolsState() {
+	ghostPrediction = null;
+	uiController.setPracticeToolsState({
+		ghostEnabled: practiceGhostEnabled,
+		boardsEnabled: practiceBoardsEnabled,
+		rotationDirection: practiceRotationDirection
+	});
+}
+
+function getLaunchRotationRate() {
+	return currentMode === GameMode.PRACTICE ? practiceRotationDirection * PRACTICE_ROTATION_RATE : 0;
+}
+
+function predictThrow({ stone, speed, direction, offsetX }) {
+	if (currentMode !== GameMode.PRACTICE || !practiceGhostEnabled) {
+		return null;
+	}
+	const key = [
+		physicsEngine.stepCount,
+		getStoneKey(stone),
+		speed.toFixed(3),
+		Math.atan2(direction.x, direction.y).toFixed(4),
+		offsetX.toFixed(3)
+	].join('|');
+	if (ghostPrediction?.key === key) {
+		return ghostPrediction;
+	}
+	const outcome = physicsEngine.simulateShot({
+		color: stone.color,
+		number: stone.number,
+		launchSpeed: speed,
+		direction,
+		offsetX,
+		rotationRate: getLaunchRotationRate(),
+		maxSeconds: GHOST_PATH_MAX_SECONDS
+	});
+	const lastPoint = outcome.path[outcome.path.length - 1] ?? outcome.thrownStone.position;
+	ghostPrediction = {
+		key,
+		path: outcome.path,
+		restingPosition: outcome.thrownStone.isOut ? { x: lastPoint.x, y: lastPoint.y } : outcome.thrownStone.position,
+		isOut: outcome.thrownStone.isOut
+	};
+	return ghostPrediction;
+}
+
 function mountWinnerAnnouncement() {
 	uiController.mountWinnerAnnouncement();
 }
@@ -977,10 +1828,17 @@ function hideEndScoreAnnouncement() {
 function mountMenu() {
 	uiController.mountMenu({
 		items: [
+			{ id: 'resume', label: 'Resume game', onClick: resumeSavedGame },
 			{ label: 'Practice', onClick: startPracticeGame },
-			{ label: 'Two player', onClick: startTwoPlayerGame },
-			{ label: 'Play against AI' },
+			{ label: 'Two player', onClick: () => openGameSetup(GameMode.TWO_PLAYER, 'Two player', startTwoPlayerGame) },
+			{
+				label: 'Mixed doubles',
+				onClick: () => openGameSetup(GameMode.MIXED_DOUBLES, 'Mixed doubles', startMixedDoublesGame)
+			},
+			{ label: 'Play against AI', onClick: () => openGameSetup(GameMode.AI, 'Play against AI', startAIGame) },
 			{ label: 'Play against friend', onClick: startFriendGame },
+			{ id: 'exportRecord', label: 'Export game record', onClick: exportGameRecord },
+			{ label: 'Import game record', onClick: importGameRecord },
 			{ label: 'Tutorial', onClick: startTutorial },
 			{ label: 'Rules', onClick: () => window.open('https://worldcurling.org/rules/', '_blank', 'noopener') }
 		]
@@ -993,6 +1851,12 @@ function showMenu() {
 	currentMode = GameMode.MENU;
 	minimapHidden = true;
 	uiController.setMenuVisible(true);
+	uiController.setMenuItemVisible('resume', saveGameController.hasSave());
+	uiController.setMenuItemVisible('exportRecord', gameRecordController.hasRecord());
+	uiController.hideGameSetup();
+	replayController.stopReplay();
+	recordViewerController.close();
+	uiController.setReplayControlsVisible(false);
 	updateTimerVisibility();
 	updatePracticeBackVisibility();
 	inputController.resetInteractions();
@@ -1008,6 +1872,8 @@ function showMenu() {
 	setScoreboardVisible(false);
 	hideEndScoreAnnouncement();
 	hideWinnerAnnouncement();
+	hideMeasurement();
+	mixedDoublesController.reset();
 }
 
 function hideMenu() {
@@ -1022,16 +1888,82 @@ function updateTimerVisibility() {
 		menuVisible ||
 		currentMode === GameMode.PRACTICE ||
 		currentMode === GameMode.TUTORIAL ||
-		currentMode === GameMode.FRIEND;
+		currentMode === GameMode.FRIEND ||
+		currentMode === GameMode.VIEWER;
 	uiController.setTimerHidden(hideSharedTimer);
 	uiController.setFriendTimerHidden(menuVisible || currentMode !== GameMode.FRIEND);
 }
 
-function updatePracticeBackVisibility() {
-	uiController.setPracticeBackVisible(
-		!menuVisible && currentMode === GameMode.PRACTICE
+function mountTelemetryHud() {
+	uiController.mountTelemetryHud({
+		onSelectPanel: (panel) => {
+			telemetryPanel = telemetryPanel === panel ? null : panel;
+		}
+	});
+}
+
+function getTelemetryPanelRows() {
+	if (telemetryPanel === 'splits') {
+		return telemetryController.getHistoryRows();
+	}
+	if (telemetryPanel === 'players') {
+		return rosterController.getPlayerRows();
+	}
+	return [];
+}
+
+function updateTelemetryHud() {
+	telemetryController.update();
+	const visible =
+		!menuVisible &&
+		currentMode !== GameMode.TUTORIAL &&
+		currentMode !== GameMode.VIEWER &&
+		!replayController.isReplaying() &&
+		telemetryController.hasData();
+	const panels = isRosterMode() ? ['splits', 'players'] : ['splits'];
+	if (telemetryPanel && !panels.includes(telemetryPanel)) {
+		telemetryPanel = null;
+	}
+	uiController.setTelemetryHudState({
+		visible,
+		readouts: telemetryController.getReadouts(),
+		panels,
+		panel: telemetryPanel,
+		panelRows: getTelemetryPanelRows()
+	});
+}
+
+function isRosterMode() {
+	return (
+		currentMode === GameMode.TWO_PLAYER ||
+		currentMode === GameMode.AI ||
+		currentMode === GameMode.FRIEND
 	);
 }
+
+function updateThrowerLabel() {
+	const stone = getStoneByKey(readyStoneKey);
+	const canShow =
+		!menuVisible &&
+		isRosterMode() &&
+		isEndInProgress &&
+		!isGameOver &&
+		!scoringSequence &&
+		!replayController.isReplaying() &&
+		!physicsEngine.isRunning() &&
+		!!stone &&
+		!stone.isLaunched;
+	const player = canShow ? rosterController.getThrower(stone.color, currentThrowIndex) : null;
+	uiController.setThrowerLabel(
+		player ? { text: `${player.label}: ${player.name}`, color: stone.color } : null
+	);
+}
+
+function updatePracticeBackVisibility() {
+	const isPracticeVisible = !menuVisible && currentMode === GameMode.PRACTICE;
+	uiController.setPracticeBackVisible(isPracticeVisible);
+	uiController.setPracticeToolsVisible(isPracticeVisible);
+}
 const inputController = createInputController({
 	canvas,
 	camera,
@@ -1045,7 +1977,7 @@ const inputController = createInputController({
 	setMinimapHidden: (value) => {
 		minimapHidden = value;
 	},
-	isInteractionAllowed: () => isLocalPlayersTurn(),
+	isInteractionAllowed,
 	isPointInMinimap,
 	setCameraToLaunchPosition: () => setCameraToLaunchPosition(LAUNCH_START_Y),
 	setCameraToEndLineTop: () => setCameraToEndLineTop(BACK_LINE_Y, HOG_LINE_FAR_Y),
@@ -1066,6 +1998,8 @@ const inputController = createInputController({
 	isStoneAvailable,
 	resetStoneForLaunch,
 	getThrowSpeed,
+	getLaunchRotationRate,
+	predictThrow,
 	launchStartY: LAUNCH_START_Y,
 	hogLineNearY: HOG_LINE_NEAR_Y,
 	stoneRadius: STONE_RADIUS,
@@ -1087,7 +2021,22 @@ const inputController = createInputController({
 	getLastLaunchedStoneKey: () => lastLaunchedStoneKey,
 	setLastLaunchedStoneKey: (value) => {
 		lastLaunchedStoneKey = value;
-	}
+	},
+	onBeforeLaunch: (stone, launch) => {
+		recordLaunch(stone, launch);
+		if (currentMode === GameMode.FRIEND) {
+			friendSyncController.beginLocalThrow(stone, launch);
+		}
+	},
+	onSweepChange: (sweepState) => {
+		replayController.recordSweep(sweepState);
+		friendSyncController.recordSweep(sweepState);
+	},
+	onRotationSwipe: (stone, rotationRate) => {
+		replayController.recordRotation(stone, rotationRate);
+		friendSyncController.recordRotation(stone, rotationRate);
+	},
+	onHogLineViolation: handleHogLineViolation
 });
 const gameplayController = createGameplayController({
 	physicsEngine,
@@ -1096,6 +2045,7 @@ const gameplayController = createGameplayController({
 	GameMode,
 	getCurrentMode: () => currentMode,
 	getCurrentEndIndex: () => currentEndIndex,
+	getCurrentThrowIndex: () => currentThrowIndex,
 	setCurrentEndIndex: (value) => {
 		currentEndIndex = value;
 	},
@@ -1103,6 +2053,11 @@ const gameplayController = createGameplayController({
 	setStartingTeamColor: (value) => {
 		startingTeamColor = value;
 	},
+	getHammerColor: () => hammerColor,
+	setHammerColor: (value) => {
+		hammerColor = value;
+	},
+	startNewGame,
 	getIsEndInProgress: () => isEndInProgress,
 	setIsEndInProgress: (value) => {
 		isEndInProgress = value;
@@ -1137,9 +2092,15 @@ const gameplayController = createGameplayController({
 	setScoreboardVisible,
 	renderScoreboard,
 	resetStonesToHomeTrays,
+	onEndStarted: () => mixedDoublesController.startEnd(),
+	onEndResultCommitted: () => {
+		gameRecordController.recordEndResult(currentEndIndex - 1);
+		saveGameController.save();
+	},
 	ensureReadyStone,
 	relocateStoneToOutTray,
 	stopThinkingTimer,
+	showCenterNote: (message) => uiController.showCenterNote(message),
 	showEndScoreAnnouncement,
 	hideEndScoreAnnouncement,
 	showWinnerAnnouncement,
@@ -1150,25 +2111,215 @@ const gameplayController = createGameplayController({
 	scoreboardState,
 	teamThinkTimeRemaining,
 	updateTimerLabel,
-	baseEnds: BASE_ENDS,
-	teamThinkTimeSeconds: TEAM_THINK_TIME_SECONDS,
+	getBaseEnds: () => gameSettings.ends,
+	getTeamThinkTimeSeconds: () => gameSettings.thinkTimeSeconds,
+	getAllowExtraEnds: () => gameSettings.allowExtraEnds,
+	getTeamNames: () => gameSettings.teamNames,
 	extraEndThinkTimeSeconds: EXTRA_END_THINK_TIME_SECONDS,
 	houseRadius: HOUSE_RADIUS,
 	stoneRadius: STONE_RADIUS,
-	stonesPerTeam: STONES_PER_TEAM,
+	hogLineFarY: HOG_LINE_FAR_Y,
+	getStonesPerTeam: () => stonesPerTeam,
+	getFreeGuardZoneThrows: () =>
+		currentMode === GameMode.MIXED_DOUBLES ? MIXED_DOUBLES_FREE_GUARD_ZONE_THROWS : FREE_GUARD_ZONE_THROWS,
 	scoringSettings: {
 		cameraTargetY: SCORE_CAMERA_TARGET_Y,
 		cameraLerp: SCORE_CAMERA_LERP,
 		cameraSettleMs: SCORE_CAMERA_SETTLE_MS,
 		removeIntervalMs: SCORE_REMOVE_INTERVAL_MS,
 		messageDurationMs: SCORE_MESSAGE_DURATION_MS,
-		postMessageDelayMs: SCORE_POST_MESSAGE_DELAY_MS
+		postMessageDelayMs: SCORE_POST_MESSAGE_DELAY_MS,
+		measureHoldMs: MEASURE_HOLD_MS
 	},
+	measureTieTolerance: MEASURE_TIE_TOLERANCE_METERS,
+	measureCloseCallDistance: MEASURE_CLOSE_CALL_METERS,
+	showMeasurement,
+	hideMeasurement,
 	setTimerDisplayColor: (value) => {
 		timerDisplayColor = value;
 	}
 });
 
+const aiController = createAIController({
+	physicsEngine,
+	StoneColor,
+	GameMode,
+	aiColor: StoneColor.YELLOW,
+	getCurrentMode: () => currentMode,
+	getActiveTeamColor: () => scoreboardState.activeTeamColor,
+	getCurrentThrowIndex: () => currentThrowIndex,
+	getReadyStoneKey: () => readyStoneKey,
+	getPendingRoundAction: () => pendingRoundAction,
+	getStoneByKey,
+	isStoneAvailable,
+	isEndInProgress: () => isEndInProgress,
+	isGameOver: () => isGameOver,
+	isScoringSequenceActive: () => !!scoringSequence,
+	isPhysicsRunning: () => physicsEngine.isRunning(),
+	getProtectedGuardKeys: (color) => gameplayController.getProtectedGuardKeys(color),
+	launchStone: inputController.launchStone,
+	launchStartY: LAUNCH_START_Y,
+	hogLineFarY: HOG_LINE_FAR_Y,
+	houseRadius: HOUSE_RADIUS,
+	stoneRadius: STONE_RADIUS,
+	getStonesPerTeam: () => stonesPerTeam,
+	minThrowSpeed: MIN_THROW_SPEED,
+	maxThrowSpeed: MAX_THROW_SPEED,
+	maxRotationRate: MAX_ROTATION_RATE
+});
+
+const mixedDoublesController = createMixedDoublesController({
+	physicsEngine,
+	StoneColor,
+	GameMode,
+	uiController,
+	getCurrentMode: () => currentMode,
+	getCurrentEndIndex: () => currentEndIndex,
+	getStartingTeamColor: () => startingTeamColor,
+	getHammerColor: () => hammerColor,
+	getTeamName,
+	stonesPerTeam: MIXED_DOUBLES_STONES_PER_TEAM,
+	getBaseEnds: () => gameSettings.ends,
+	houseStoneY: MIXED_DOUBLES_HOUSE_STONE_Y,
+	guardY: MIXED_DOUBLES_GUARD_Y,
+	powerPlayX: MIXED_DOUBLES_POWER_PLAY_X,
+	powerPlayHouseStoneY: MIXED_DOUBLES_POWER_PLAY_HOUSE_STONE_Y,
+	onStonesPlaced: invalidateMeasureAvailability
+});
+
+const replayController = createReplayController({
+	physicsEngine,
+	createPhysicsEngine: createReplayPhysicsEngine,
+	getCurrentEndIndex: () => currentEndIndex,
+	getCurrentThrowIndex: () => currentThrowIndex,
+	followStone: (stone) => setCameraFollowStone(stone, { instant: true }),
+	clearFollowStone: clearCameraFollowStone,
+	onProgress: ({ shotIndex, shotCount, color, progress, playing }) => {
+		uiController.setReplayControlsState({
+			label: `Shot ${shotIndex + 1}/${shotCount} · ${getTeamName(color)}`,
+			progress,
+			playing
+		});
+	}
+});
+
+const gameRecordController = createGameRecordController({
+	physicsEngine,
+	scoreboardState,
+	getCurrentMode: () => currentMode,
+	getGameSettings: () => gameSettings,
+	getCurrentEndIndex: () => currentEndIndex,
+	getCurrentThrowIndex: () => currentThrowIndex,
+	getHammerColor: () => hammerColor,
+	getIsGameOver: () => isGameOver,
+	stonesPerTeamOptions: STONES_PER_TEAM_OPTIONS
+});
+
+const telemetryController = createTelemetryController({
+	physicsEngine,
+	getCurrentEndIndex: () => currentEndIndex,
+	getCurrentThrowIndex: () => currentThrowIndex,
+	getTeamName
+});
+
+const rosterController = createRosterController({
+	scoreboardState,
+	physicsEngine,
+	rosterPositions: ROSTER_POSITIONS,
+	getRosterNames: () => gameSettings.rosters,
+	isRosterMode,
+	getStonesPerTeam: () => stonesPerTeam
+});
+
+const friendSyncController = createFriendSyncController({
+	physicsEngine,
+	getCurrentThrowIndex: () => currentThrowIndex,
+	sendLaunch: sendStoneLaunch,
+	sendThrowEvents,
+	launchRemoteStone,
+	applyRemoteEvent: applyRemoteThrowEvent,
+	applySnapshot: (snapshot) => remoteSmoothingController.applyCorrection(() => applyStoneSnapshot(snapshot))
+});
+
+const remoteSmoothingController = createRemoteSmoothingController({
+	physicsEngine,
+	isAwaitingRemoteSteps: () => friendSyncController.isAwaitingRemoteSteps()
+});
+
+const recordViewerController = createRecordViewerController({
+	createPhysicsEngine: createReplayPhysicsEngine,
+	onProgress: ({ endNumber, throwNumber, throwCount, teamName, score, progress, playing }) => {
+		const scoreText = score.map((entry) => `${entry.name} ${entry.points}`).join(' – ');
+		const throwText = throwNumber > 0 ? `Throw ${throwNumber}/${throwCount} · ${teamName}` : 'Start of end';
+		uiController.setReplayControlsState({
+			label: `End ${endNumber} · ${throwText} · ${scoreText}`,
+			progress,
+			playing
+		});
+	}
+});
+
+const saveGameController = createSaveGameController({
+	physicsEngine,
+	scoreboardState,
+	teamThinkTimeRemaining,
+	savableModes: [GameMode.TWO_PLAYER, GameMode.MIXED_DOUBLES, GameMode.AI],
+	getCurrentMode: () => currentMode,
+	setCurrentMode: (value) => {
+		currentMode = value;
+	},
+	getGameSettings: () => gameSettings,
+	setGameSettings: (value) => {
+		gameSettings = value;
+	},
+	configureTeamStones,
+	applySheetSettings,
+	getCurrentEndIndex: () => currentEndIndex,
+	setCurrentEndIndex: (value) => {
+		currentEndIndex = value;
+	},
+	getCurrentThrowIndex: () => currentThrowIndex,
+	setCurrentThrowIndex: (value) => {
+		currentThrowIndex = value;
+	},
+	getStartingTeamColor: () => startingTeamColor,
+	setStartingTeamColor: (value) => {
+		startingTeamColor = value;
+	},
+	getHammerColor: () => hammerColor,
+	setHammerColor: (value) => {
+		hammerColor = value;
+	},
+	getIsEndInProgress: () => isEndInProgress,
+	setIsEndInProgress: (value) => {
+		isEndInProgress = value;
+	},
+	getIsGameOver: () => isGameOver,
+	setIsGameOver: (value) => {
+		isGameOver = value;
+	},
+	getEndResultCommitted: () => endResultCommitted,
+	setEndResultCommitted: (value) => {
+		endResultCommitted = value;
+	},
+	getPendingRoundAction: () => pendingRoundAction,
+	setPendingRoundAction: (value) => {
+		pendingRoundAction = value;
+	},
+	setActiveTeamColor,
+	getMixedDoublesState: () => mixedDoublesController.getState(),
+	restoreMixedDoublesState: (state) => mixedDoublesController.restoreState(state),
+	getGameRecord: () => gameRecordController.getRecord(),
+	restoreGameRecord: (record) => gameRecordController.restoreRecord(record),
+	getTelemetryHistory: () => telemetryController.getHistory(),
+	restoreTelemetryHistory: (history) => telemetryController.restoreHistory(history),
+	getRosterStats: () => rosterController.getState(),
+	restoreRosterStats: (stats) => {
+		rosterController.applyRosters();
+		rosterController.restoreState(stats);
+	}
+});
+
 function setupWakeLock() {
 	if (!('wakeLock' in navigator)) {
 		return;
@@ -1273,6 +2424,16 @@ function resizeCanvas() {
 	drawTrack(buildRenderState());
 }
 
+function getDisplayedPhysicsEngine() {
+	if (replayController.isReplaying()) {
+		return replayController.getEngine();
+	}
+	if (recordViewerController.isOpen()) {
+		return recordViewerController.getEngine();
+	}
+	return physicsEngine;
+}
+
 function buildRenderState() {
 	return {
 		measurements: MEASUREMENTS,
@@ -1283,7 +2444,10 @@ function buildRenderState() {
 		hogLineFarY: HOG_LINE_FAR_Y,
 		stoneRadius: STONE_RADIUS,
 		dragState: inputController.getDragState(),
-		physicsEngine,
+		physicsEngine: getDisplayedPhysicsEngine(),
+		getStonePose: currentMode === GameMode.FRIEND && getDisplayedPhysicsEngine() === physicsEngine
+			? remoteSmoothingController.getRenderPose
+			: null,
 		getThrowSpeed,
 		feetToMeters: FEET_TO_METERS,
 		minimap: {
@@ -1293,7 +2457,8 @@ function buildRenderState() {
 			scaleFraction: MINIMAP_SCALE_FRACTION,
 			marginPx: MINIMAP_MARGIN_PX
 		},
-		readyStoneKey,
+		readyStoneKey: getDisplayedPhysicsEngine() === physicsEngine ? readyStoneKey : null,
+		measureResults,
 		isEndInProgress,
 		scoringSequence,
 		hogSponsor: {
@@ -1342,13 +2507,31 @@ function handleStoneStopped(stone) {
 	}
 	inputController.clearSweepState();
 	nextReadyAllowedAt = performance.now() + 2000;
+	shotSettlePending = true;
+}
+
+function recordLaunch(stone, launch) {
+	gameplayController.captureFreeGuardZone(stone);
+	replayController.recordLaunch(stone, launch);
+	gameRecordController.recordThrow(stone, launch);
+	telemetryController.startShot(stone, launch);
+	rosterController.startThrow(stone, currentThrowIndex);
+}
+
+function handleHogLineViolation(stone) {
+	replayController.recordHogLineViolation(stone);
+	friendSyncController.recordHogLineViolation(stone);
+	physicsEngine.flagHogLineViolation(stone);
+	uiController.showCenterNote('Hog line violation');
 }
 
-function handleHogNearCross() {
+function handleHogNearCross(durationMs) {
 	stopThinkingTimer();
+	telemetryController.recordBackToHog(durationMs);
 }
 
-function handleHogFarCross() {
+function handleHogFarCross(durationMs) {
+	telemetryController.recordHogToHog(durationMs);
 	if (currentMode === GameMode.FRIEND && !isLocalPlayersTurn()) {
 		setCameraToEndLineTop(BACK_LINE_Y, HOG_LINE_FAR_Y);
 	}
@@ -1380,6 +2563,10 @@ function isStoneAvailable(stone) {
 	return !!stone && !stone.isLaunched && !stone.isOut;
 }
 
+function getTeamName(color) {
+	return scoreboardState.teams.find((team) => team.stoneColor === color)?.name ?? 'Team';
+}
+
 function getOppositeColor(color) {
 	return color === StoneColor.RED ? StoneColor.YELLOW : StoneColor.RED;
 }
@@ -1409,16 +2596,17 @@ function resetStoneForLaunch(stone, position) {
 	stone.isLaunched = false;
 	stone.isOut = false;
 	stone.hasStoppedNotified = true;
+	stone.hogLineViolation = false;
 }
 
 function ensureReadyStone() {
-	if (!isLocalPlayersTurn()) {
+	if (!isLocalPlayersTurn() || friendSyncController.isRemoteThrowPending()) {
 		return;
 	}
 	if (!isEndInProgress || isGameOver || scoringSequence || physicsEngine.isRunning() || inputController.getDragState()) {
 		return;
 	}
-	if (menuVisible) {
+	if (menuVisible || measureResults) {
 		return;
 	}
 	if (minimapHidden) {
@@ -1461,7 +2649,7 @@ function ensureReadyStone() {
 	startThinkingTimer(scoreboardState.activeTeamColor);
 }
 
-function createTeamStoneConfigs({ color, baseX, baseY, direction }) {
+function createTeamStoneConfigs({ color, baseX, baseY, direction, count }) {
 	const configs = [];
 	const columnIndices = Array.from({ length: STONE_TRAY_COLUMNS }, (_, idx) => idx).sort(
 		(a, b) => {
@@ -1471,10 +2659,14 @@ function createTeamStoneConfigs({ color, baseX, baseY, direction }) {
 		}
 	);
 
+	const rows = Math.ceil(count / STONE_TRAY_COLUMNS);
 	let number = 1;
-	for (let row = STONE_TRAY_ROWS - 1; row >= 0; row--) {
+	for (let row = rows - 1; row >= 0; row--) {
 		const y = baseY + row * STONE_TRAY_ROW_SPACING;
 		for (const col of columnIndices) {
+			if (number > count) {
+				break;
+			}
 			const x = baseX + direction * col * STONE_TRAY_COLUMN_SPACING;
 			configs.push({
 				color,
@@ -1508,14 +2700,32 @@ mountScoreboard();
 mountTimer();
 mountFriendTimer();
 mountPracticeBackButton();
+mountTelemetryHud();
+uiController.mountThrowerLabel();
+uiController.mountConnectionOverlay();
 mountWinnerAnnouncement();
 mountEndScoreAnnouncement();
 uiController.mountCenterNote();
+uiController.mountChoicePrompt();
+uiController.mountGameSetup();
+uiController.mountReplayControls({
+	onOpen: openReplay,
+	onTogglePause: () => getPlaybackController().togglePause(),
+	onPrevious: () => getPlaybackController().previous(),
+	onNext: () => getPlaybackController().next(),
+	onSeek: (fraction) => getPlaybackController().seek(fraction),
+	onClose: closePlayback
+});
 mountMultiplayerInvite();
 mountMenu();
 
-const roomIdFromUrl = new URLSearchParams(window.location.search).get('room');
-if (roomIdFromUrl) {
+const roomIdFromUrl = urlParams.get('room');
+const multiplayerSession = loadMultiplayerSession();
+if (roomIdFromUrl && urlParams.get('role') === 'spectator') {
+	spectateFriendGame(roomIdFromUrl);
+} else if (multiplayerSession && (!roomIdFromUrl || roomIdFromUrl === multiplayerSession.roomId)) {
+	resumeFriendGame(multiplayerSession);
+} else if (roomIdFromUrl) {
 	joinFriendGame(roomIdFromUrl);
 }
 
@@ -1530,19 +2740,37 @@ function animationLoop(timestamp) {
 	tutorialController.update(timestamp);
 	gameplayController.updateScoringSequence(timestamp);
 	ensureReadyStone();
+	aiController.update(timestamp);
+	replayController.update(timestamp);
+	recordViewerController.update(timestamp);
+	uiController.setReplayOpenVisible(
+		!!pendingRoundAction &&
+			!replayController.isReplaying() &&
+			replayController.hasShotsForEnd(currentEndIndex - 1)
+	);
 	updateThinkingTimer(timestamp);
+	const isSimulatingRemoteThrow = friendSyncController.isSimulatingRemoteThrow();
+	friendSyncController.update(timestamp);
+	remoteSmoothingController.update(timestamp);
 	const shouldSimulatePhysics = currentMode !== GameMode.FRIEND || isLocalPlayersTurn() || physicsEngine.isRunning();
-	if (shouldSimulatePhysics) {
+	if (isSimulatingRemoteThrow) {
+		gameplayController.resolveFreeGuardZone();
+	} else if (shouldSimulatePhysics) {
 		physicsEngine.update(timestamp);
+		gameplayController.resolveFreeGuardZone();
+	}
+	if (shotSettlePending && !physicsEngine.isRunning() && !friendSyncController.isRemoteThrowPending()) {
+		shotSettlePending = false;
+		invalidateMeasureAvailability();
+		gameRecordController.recordThrowResult();
+		telemetryController.finishShot();
+		rosterController.finishThrow();
+		saveGameController.save();
 	}
 	const isRunning = physicsEngine.isRunning();
 	if (currentMode === GameMode.FRIEND && isLocalPlayersTurn()) {
-		if (isRunning && timestamp - lastStoneSyncAt >= 1000) {
-			const movingStones = getMovingStonePayloads();
-			sendStoneUpdates(movingStones);
-			lastStoneSyncAt = timestamp;
-		}
 		if (wasPhysicsRunning && !isRunning) {
+			friendSyncController.finishLocalThrow();
 			const snapshot = getAllStonePayloads();
 			sendStoneSnapshot(snapshot);
 			if (!gameplayController.areAllThrowsCompleted()) {
@@ -1561,6 +2789,14 @@ function animationLoop(timestamp) {
 		updateCameraFollow();
 	}
 	gameplayController.maybeHandleEndCompletion();
+	const isMeasureAvailable = canMeasure();
+	if (isManualMeasure && !isMeasureAvailable) {
+		hideMeasurement();
+	}
+	uiController.setMeasureButtonState({ visible: isMeasureAvailable, active: isManualMeasure });
+	updateTelemetryHud();
+	updateThrowerLabel();
+	updateConnectionOverlay();
 	handleFriendScoringCamera(timestamp);
 	drawTrack(buildRenderState());
 	requestAnimationFrame(animationLoop);
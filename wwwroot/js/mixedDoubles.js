@@ -0,0 +1,103 @@
+export function createMixedDoublesController(config) {
+	const powerPlayUsed = new Set();
+	let powerPlaySide = 0;
+	let isAwaitingDecision = false;
+
+	const isActive = () => config.getCurrentMode() === config.GameMode.MIXED_DOUBLES;
+
+	const reset = () => {
+		powerPlayUsed.clear();
+		powerPlaySide = 0;
+		isAwaitingDecision = false;
+		config.uiController.hideChoicePrompt();
+	};
+
+	const findPositionedStone = (color) =>
+		config.physicsEngine
+			.getStones()
+			.find((stone) => stone.color === color && stone.number === config.stonesPerTeam);
+
+	const placeStone = (stone, position) => {
+		if (!stone) {
+			return;
+		}
+		stone.position = { ...position };
+		stone.velocity = { vx: 0, vy: 0 };
+		stone.pendingRotationRate = 0;
+		stone.rotationRate = 0;
+		stone.rotationActivated = true;
+		stone.angle = 0;
+		stone.isLaunched = true;
+		stone.isOut = false;
+		stone.hasStoppedNotified = true;
+	};
+
+	const placePositionedStones = () => {
+		if (!isActive()) {
+			return;
+		}
+		const houseStonePosition = powerPlaySide === 0
+			? { x: 0, y: config.houseStoneY }
+			: { x: powerPlaySide * config.powerPlayX, y: config.powerPlayHouseStoneY };
+		const guardPosition = { x: powerPlaySide * config.powerPlayX, y: config.guardY };
+		placeStone(findPositionedStone(config.getHammerColor()), houseStonePosition);
+		placeStone(findPositionedStone(config.getStartingTeamColor()), guardPosition);
+		config.onStonesPlaced?.();
+	};
+
+	const canUsePowerPlay = (color) =>
+		isActive() &&
+		!powerPlayUsed.has(color) &&
+		config.getCurrentEndIndex() < config.getBaseEnds();
+
+	const choosePowerPlay = (color, side) => {
+		isAwaitingDecision = false;
+		if (side === 0) {
+			return;
+		}
+		powerPlayUsed.add(color);
+		powerPlaySide = side;
+		placePositionedStones();
+	};
+
+	const startEnd = () => {
+		powerPlaySide = 0;
+		isAwaitingDecision = false;
+		config.uiController.hideChoicePrompt();
+		const hammerColor = config.getHammerColor();
+		if (!canUsePowerPlay(hammerColor)) {
+			return;
+		}
+		isAwaitingDecision = true;
+		config.uiController.showChoicePrompt({
+			message: `${config.getTeamName(hammerColor)} has the hammer. Use the power play?`,
+			options: [
+				{ label: 'Standard placement', onSelect: () => choosePowerPlay(hammerColor, 0) },
+				{ label: 'Power play left', onSelect: () => choosePowerPlay(hammerColor, -1) },
+				{ label: 'Power play right', onSelect: () => choosePowerPlay(hammerColor, 1) }
+			]
+		});
+	};
+
+	const getState = () => ({
+		powerPlayUsed: [...powerPlayUsed]
+	});
+
+	const restoreState = (state) => {
+		powerPlayUsed.clear();
+		(state?.powerPlayUsed ?? []).forEach((color) => powerPlayUsed.add(color));
+		powerPlaySide = 0;
+		isAwaitingDecision = false;
+		config.uiController.hideChoicePrompt();
+	};
+
+	return {
+		isActive,
+		reset,
+		getState,
+		restoreState,
+		placePositionedStones,
+		startEnd,
+		isAwaitingDecision: () => isAwaitingDecision
+	};
+}
@@ -0,0 +1,465 @@
+import {
+	MultiplayerTransport,
+	MULTIPLAYER_LOCAL_CHANNEL_NAME,
+	MULTIPLAYER_LOCAL_RESPONSE_TIMEOUT_MS,
+	MULTIPLAYER_RECONNECT_GRACE_SECONDS,
+	TEAM_THINK_TIME_SECONDS
+} from './constants.js';
+
+const RoomState = Object.freeze({
+	WAITING_FOR_GUEST: 'waiting',
+	STARTED: 'started',
+	ENDED: 'ended'
+});
+
+const createId = () =>
+	globalThis.crypto?.randomUUID?.().replace(/-/g, '')
+	?? `${Date.now().toString(36)}${Math.random().toString(36).slice(2)}`;
+
+const normalizeColor = (color) => ((color ?? '').trim().toLowerCase() === 'yellow' ? 'yellow' : 'red');
+
+const getOppositeColor = (color) => (color === 'red' ? 'yellow' : 'red');
+
+const clonePayload = (payload) => (payload === undefined ? undefined : structuredClone(payload));
+
+export function resolveMultiplayerTransport(value) {
+	return value === MultiplayerTransport.LOCAL ? MultiplayerTransport.LOCAL : MultiplayerTransport.SIGNALR;
+}
+
+export function createMultiplayerConnection(config) {
+	if (config.transport === MultiplayerTransport.LOCAL) {
+		return createLocalConnection();
+	}
+	if (!config.signalR) {
+		throw new Error('SignalR client is unavailable.');
+	}
+	return new config.signalR.HubConnectionBuilder()
+		.withUrl(config.hubUrl)
+		.withAutomaticReconnect({ nextRetryDelayInMilliseconds: config.getReconnectDelay })
+		.build();
+}
+
+// Pairs tabs of the same browser over a BroadcastChannel. The tab that creates a room
+// plays the part of the hub for it and answers every invocation aimed at that room.
+function createLocalConnection() {
+	const connectionId = createId();
+	const handlers = new Map();
+	const closeHandlers = [];
+	const pendingInvocations = new Map();
+	const rooms = new Map();
+	let channel = null;
+	let invocationCount = 0;
+
+	const post = (message) => channel?.postMessage({ ...message, from: connectionId });
+
+	const dispatch = (name, payload) => {
+		(handlers.get(name) ?? []).forEach((handler) => handler(payload));
+	};
+
+	const sendTo = (connectionIds, name, payload) => {
+		connectionIds.forEach((targetId) => {
+			if (targetId === connectionId) {
+				const copy = clonePayload(payload);
+				window.setTimeout(() => dispatch(name, copy), 0);
+			} else if (targetId) {
+				post({ kind: 'event', to: targetId, name, payload });
+			}
+		});
+	};
+
+	const getMembers = (room) => [room.hostConnectionId, room.guestConnectionId, ...room.spectatorConnectionIds].filter(Boolean);
+
+	const sendToGroup = (room, name, payload) => sendTo(getMembers(room), name, payload);
+
+	const sendToOthers = (room, callerId, name, payload) =>
+		sendTo(getMembers(room).filter((memberId) => memberId !== callerId), name, payload);
+
+	const buildTimerUpdate = (room) => ({
+		roomId: room.roomId,
+		redSeconds: room.remainingRedSeconds,
+		yellowSeconds: room.remainingYellowSeconds,
+		runningColor: room.runningColor
+	});
+
+	const getGraceSecondsRemaining = (room) =>
+		(room.graceDeadline == null ? 0 : Math.max(0, Math.ceil((room.graceDeadline - Date.now()) / 1000)));
+
+	const getRoom = (roomId) => {
+		const room = rooms.get(roomId);
+		return room && room.state !== RoomState.ENDED ? room : null;
+	};
+
+	const requireRoom = (roomId) => {
+		const room = getRoom(roomId);
+		if (!room) {
+			throw new Error('Room not available.');
+		}
+		return room;
+	};
+
+	const ensurePlayer = (room, callerId) => {
+		if (room.spectatorConnectionIds.has(callerId)) {
+			throw new Error('Spectators cannot play.');
+		}
+	};
+
+	const endRoom = (room) => {
+		room.state = RoomState.ENDED;
+		window.clearInterval(room.timer);
+		window.clearTimeout(room.graceTimer);
+		room.timer = null;
+		room.graceTimer = null;
+		room.graceDeadline = null;
+		rooms.delete(room.roomId);
+	};
+
+	const tickTimer = (room) => {
+		if (room.state === RoomState.ENDED || !room.runningColor) {
+			return;
+		}
+		const key = room.runningColor === 'red' ? 'remainingRedSeconds' : 'remainingYellowSeconds';
+		room[key] = Math.max(0, room[key] - 1);
+		if (room[key] === 0) {
+			room.runningColor = null;
+		}
+		sendToGroup(room, 'TimerUpdate', buildTimerUpdate(room));
+	};
+
+	const expireGracePeriod = (room) => {
+		if (room.state === RoomState.ENDED || room.graceDeadline == null) {
+			return;
+		}
+		const members = getMembers(room);
+		endRoom(room);
+		sendTo(members, 'GameEnded', { roomId: room.roomId, reason: 'opponent-left' });
+	};
+
+	const hubMethods = {
+		CreateRoom: (callerId, hostColor) => {
+			const normalizedHostColor = normalizeColor(hostColor);
+			const guestColor = getOppositeColor(normalizedHostColor);
+			const room = {
+				roomId: createId(),
+				hostConnectionId: callerId,
+				guestConnectionId: null,
+				spectatorConnectionIds: new Set(),
+				hostColor: normalizedHostColor,
+				guestColor,
+				startingColor: Math.random() < 0.5 ? normalizedHostColor : guestColor,
+				hostResumeToken: createId(),
+				guestResumeToken: null,
+				remainingRedSeconds: TEAM_THINK_TIME_SECONDS,
+				remainingYellowSeconds: TEAM_THINK_TIME_SECONDS,
+				runningColor: null,
+				pausedColor: null,
+				timer: null,
+				graceTimer: null,
+				graceDeadline: null,
+				state: RoomState.WAITING_FOR_GUEST
+			};
+			rooms.set(room.roomId, room);
+			sendTo([callerId], 'TimerUpdate', buildTimerUpdate(room));
+			return {
+				roomId: room.roomId,
+				hostColor: room.hostColor,
+				startingColor: room.startingColor,
+				resumeToken: room.hostResumeToken
+			};
+		},
+		JoinRoom: (callerId, roomId) => {
+			const room = requireRoom(roomId);
+			if (room.state !== RoomState.WAITING_FOR_GUEST) {
+				throw new Error('Game already started.');
+			}
+			if (room.guestConnectionId || room.hostConnectionId === callerId) {
+				throw new Error('Room not available.');
+			}
+			room.guestConnectionId = callerId;
+			room.guestResumeToken = createId();
+			room.state = RoomState.STARTED;
+			sendTo([callerId], 'RoomJoined', {
+				roomId,
+				guestColor: room.guestColor,
+				startingColor: room.startingColor,
+				resumeToken: room.guestResumeToken
+			});
+			sendTo([callerId], 'TimerUpdate', buildTimerUpdate(room));
+			sendToOthers(room, callerId, 'PlayerJoined', {
+				roomId,
+				hostColor: room.hostColor,
+				guestColor: room.guestColor,
+				startingColor: room.startingColor
+			});
+		},
+		SpectateRoom: (callerId, roomId) => {
+			const room = requireRoom(roomId);
+			if (room.hostConnectionId === callerId || room.guestConnectionId === callerId) {
+				throw new Error('Room not available.');
+			}
+			room.spectatorConnectionIds.add(callerId);
+			sendTo([callerId], 'TimerUpdate', buildTimerUpdate(room));
+			const isStarted = room.state === RoomState.STARTED;
+			const providerId = isStarted ? room.hostConnectionId ?? room.guestConnectionId : null;
+			if (providerId) {
+				sendTo([providerId], 'SpectatorStateRequested', { roomId, spectatorConnectionId: callerId });
+			}
+			return { roomId, hostColor: room.hostColor, startingColor: room.startingColor, isStarted };
+		},
+		SendSpectatorState: (callerId, roomId, spectatorConnectionId, state) => {
+			const room = requireRoom(roomId);
+			ensurePlayer(room, callerId);
+			if (room.spectatorConnectionIds.has(spectatorConnectionId)) {
+				sendTo([spectatorConnectionId], 'ResumeState', state);
+			}
+		},
+		ResumeRoom: (callerId, roomId, resumeToken) => {
+			const room = getRoom(roomId);
+			if (!room || room.state !== RoomState.STARTED || !resumeToken) {
+				throw new Error('Room not available.');
+			}
+			let playerColor;
+			let opponentConnectionId;
+			if (resumeToken === room.hostResumeToken) {
+				playerColor = room.hostColor;
+				room.hostConnectionId = callerId;
+				opponentConnectionId = room.guestConnectionId;
+			} else if (resumeToken === room.guestResumeToken) {
+				playerColor = room.guestColor;
+				room.guestConnectionId = callerId;
+				opponentConnectionId = room.hostConnectionId;
+			} else {
+				throw new Error('Room not available.');
+			}
+			const graceSecondsRemaining = getGraceSecondsRemaining(room);
+			if (opponentConnectionId) {
+				window.clearTimeout(room.graceTimer);
+				room.graceTimer = null;
+				room.graceDeadline = null;
+				if (room.pausedColor) {
+					room.runningColor = room.pausedColor;
+					room.pausedColor = null;
+				}
+				sendToOthers(room, callerId, 'OpponentReconnected', { roomId });
+			}
+			sendToGroup(room, 'TimerUpdate', buildTimerUpdate(room));
+			return {
+				roomId,
+				playerColor,
+				startingColor: room.startingColor,
+				opponentConnected: Boolean(opponentConnectionId),
+				graceSecondsRemaining
+			};
+		},
+		SendResumeState: (callerId, roomId, state) => {
+			const room = requireRoom(roomId);
+			ensurePlayer(room, callerId);
+			sendToOthers(room, callerId, 'ResumeState', state);
+		},
+		RequestResumeState: (callerId, roomId) => {
+			const room = requireRoom(roomId);
+			ensurePlayer(room, callerId);
+			sendToOthers(room, callerId, 'ResumeStateRequested', { roomId });
+		},
+		StartTurn: (callerId, roomId, activeColor) => {
+			const room = requireRoom(roomId);
+			ensurePlayer(room, callerId);
+			room.runningColor = normalizeColor(activeColor);
+			room.timer ??= window.setInterval(() => tickTimer(room), 1000);
+			sendToGroup(room, 'TimerUpdate', buildTimerUpdate(room));
+		},
+		StopTurn: (callerId, roomId) => {
+			const room = requireRoom(roomId);
+			ensurePlayer(room, callerId);
+			room.runningColor = null;
+			sendToGroup(room, 'TimerUpdate', buildTimerUpdate(room));
+		},
+		LaunchStone: (callerId, roomId, launch) => {
+			const room = requireRoom(roomId);
+			ensurePlayer(room, callerId);
+			sendToOthers(room, callerId, 'StoneLaunched', launch);
+		},
+		SendThrowEvents: (callerId, roomId, batch) => {
+			const room = requireRoom(roomId);
+			ensurePlayer(room, callerId);
+			sendToOthers(room, callerId, 'ThrowEvents', batch);
+		},
+		SnapshotStoneStates: (callerId, roomId, stones) => {
+			const room = requireRoom(roomId);
+			ensurePlayer(room, callerId);
+			sendToOthers(room, callerId, 'StoneSnapshot', stones);
+		},
+		CompleteTurn: (callerId, roomId, activeColor, currentThrowIndex) => {
+			const room = requireRoom(roomId);
+			ensurePlayer(room, callerId);
+			sendToGroup(room, 'TurnChanged', { roomId, activeColor, currentThrowIndex });
+		},
+		NotifyEndScored: (callerId, roomId) => {
+			const room = requireRoom(roomId);
+			ensurePlayer(room, callerId);
+			sendToOthers(room, callerId, 'EndScored', { roomId });
+		},
+		StartNextEndCountdown: (callerId, roomId, seconds) => {
+			const room = requireRoom(roomId);
+			ensurePlayer(room, callerId);
+			sendToGroup(room, 'NextEndCountdown', { roomId, seconds });
+		}
+	};
+
+	const handleInvocation = (callerId, method, args) => {
+		const hubMethod = hubMethods[method];
+		if (!hubMethod) {
+			throw new Error(`Unknown method '${method}'.`);
+		}
+		return hubMethod(callerId, ...args) ?? null;
+	};
+
+	const handleDisconnect = (disconnectedId) => {
+		for (const room of [...rooms.values()]) {
+			if (room.spectatorConnectionIds.delete(disconnectedId)) {
+				continue;
+			}
+			if (room.hostConnectionId !== disconnectedId && room.guestConnectionId !== disconnectedId) {
+				continue;
+			}
+			if (room.state === RoomState.WAITING_FOR_GUEST) {
+				endRoom(room);
+				continue;
+			}
+			if (room.hostConnectionId === disconnectedId) {
+				room.hostConnectionId = null;
+			} else {
+				room.guestConnectionId = null;
+			}
+			if (room.runningColor) {
+				room.pausedColor = room.runningColor;
+				room.runningColor = null;
+			}
+			room.graceDeadline ??= Date.now() + MULTIPLAYER_RECONNECT_GRACE_SECONDS * 1000;
+			room.graceTimer ??= window.setTimeout(() => expireGracePeriod(room), MULTIPLAYER_RECONNECT_GRACE_SECONDS * 1000);
+			sendToGroup(room, 'OpponentDisconnected', { roomId: room.roomId, graceSeconds: getGraceSecondsRemaining(room) });
+			sendToGroup(room, 'TimerUpdate', buildTimerUpdate(room));
+		}
+	};
+
+	const handleMessage = ({ data }) => {
+		if (!data || data.from === connectionId) {
+			return;
+		}
+		if (data.kind === 'invoke') {
+			if (!rooms.has(data.args?.[0])) {
+				return;
+			}
+			try {
+				const result = handleInvocation(data.from, data.method, data.args);
+				post({ kind: 'result', to: data.from, invocationId: data.invocationId, result });
+			} catch (error) {
+				post({ kind: 'result', to: data.from, invocationId: data.invocationId, error: error.message });
+			}
+			return;
+		}
+		if (data.kind === 'leave') {
+			handleDisconnect(data.from);
+			return;
+		}
+		if (data.to !== connectionId) {
+			return;
+		}
+		if (data.kind === 'event') {
+			dispatch(data.name, data.payload);
+			return;
+		}
+		if (data.kind === 'result') {
+			const pending = pendingInvocations.get(data.invocationId);
+			if (!pending) {
+				return;
+			}
+			pendingInvocations.delete(data.invocationId);
+			window.clearTimeout(pending.timeout);
+			if (data.error) {
+				pending.reject(new Error(data.error));
+			} else {
+				pending.resolve(data.result);
+			}
+		}
+	};
+
+	const closeHostedRooms = () => {
+		for (const room of [...rooms.values()]) {
+			const members = getMembers(room).filter((memberId) => memberId !== connectionId);
+			const wasStarted = room.state === RoomState.STARTED;
+			endRoom(room);
+			if (wasStarted) {
+				sendTo(members, 'GameEnded', { roomId: room.roomId, reason: 'opponent-left' });
+			}
+		}
+	};
+
+	const handlePageHide = () => {
+		closeHostedRooms();
+		post({ kind: 'leave' });
+	};
+
+	const invoke = (method, ...args) => {
+		if (!channel) {
+			return Promise.reject(new Error('Connection is not started.'));
+		}
+		if (method === 'CreateRoom' || rooms.has(args[0])) {
+			return new Promise((resolve) => {
+				resolve(clonePayload(handleInvocation(connectionId, method, clonePayload(args))));
+			});
+		}
+		return new Promise((resolve, reject) => {
+			invocationCount += 1;
+			const invocationId = `${connectionId}:${invocationCount}`;
+			const timeout = window.setTimeout(() => {
+				pendingInvocations.delete(invocationId);
+				reject(new Error('Room not available.'));
+			}, MULTIPLAYER_LOCAL_RESPONSE_TIMEOUT_MS);
+			pendingInvocations.set(invocationId, { resolve, reject, timeout });
+			post({ kind: 'invoke', invocationId, method, args });
+		});
+	};
+
+	const on = (name, handler) => {
+		if (!handlers.has(name)) {
+			handlers.set(name, []);
+		}
+		handlers.get(name).push(handler);
+	};
+
+	const start = async () => {
+		if (typeof BroadcastChannel === 'undefined') {
+			throw new Error('BroadcastChannel is unavailable.');
+		}
+		channel = new BroadcastChannel(MULTIPLAYER_LOCAL_CHANNEL_NAME);
+		channel.addEventListener('message', handleMessage);
+		window.addEventListener('pagehide', handlePageHide);
+	};
+
+	const stop = async () => {
+		if (!channel) {
+			return;
+		}
+		handlePageHide();
+		window.removeEventListener('pagehide', handlePageHide);
+		channel.close();
+		channel = null;
+		pendingInvocations.forEach((pending) => {
+			window.clearTimeout(pending.timeout);
+			pending.reject(new Error('Connection closed.'));
+		});
+		pendingInvocations.clear();
+		closeHandlers.forEach((handler) => handler());
+	};
+
+	return {
+		connectionId,
+		start,
+		stop,
+		invoke,
+		on,
+		onreconnecting: () => {},
+		onreconnected: () => {},
+		onclose: (handler) => closeHandlers.push(handler)
+	};
+}
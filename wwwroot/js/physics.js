@@ -29,11 +29,60 @@ const DEFAULT_CURL_ASYMMETRY = 0.008;
 const DEFAULT_CURL_VELOCITY_BIAS = 0.5;
 const DEFAULT_CURL_MIN_OMEGA = 0.05;
 const GRAVITY = 9.81;
+const DEFAULT_STONE_MASS = 19.05;
+const DEFAULT_STONE_INERTIA_FACTOR = 0.5;
 const DEFAULT_COLLISION_RESTITUTION = 0.9;
-const DEFAULT_COLLISION_SPIN_TRANSFER = 0.3;
-const DEFAULT_COLLISION_SPIN_DAMPING = 0.001;
-const DEFAULT_COLLISION_TANGENTIAL_LOSS = 0.1;
+const DEFAULT_COLLISION_FRICTION = 0.1;
+const DEFAULT_COLLISION_ITERATIONS = 12;
+const DEFAULT_BOARD_TANGENTIAL_LOSS = 0.1;
+const DEFAULT_BOARD_RESTITUTION = 0.5;
+const DEFAULT_BOARD_SPIN_DAMPING = 0.5;
 const COLLISION_EPSILON = 1e-4;
+const DEFAULT_FIXED_TIME_STEP = 1 / 240;
+const DEFAULT_MAX_STEPS_PER_UPDATE = 60;
+const DEFAULT_SIMULATION_MAX_SECONDS = 60;
+const DEFAULT_SIMULATION_SAMPLE_INTERVAL = 0.1;
+
+function serializeStone(stone) {
+  return {
+    color: stone.color,
+    number: stone.number ?? 0,
+    position: { x: stone.position.x, y: stone.position.y },
+    velocity: { vx: stone.velocity.vx, vy: stone.velocity.vy },
+    rotationRate: stone.rotationRate ?? 0,
+    pendingRotationRate: stone.pendingRotationRate ?? 0,
+    rotationActivated: stone.rotationActivated ?? true,
+    angle: stone.angle ?? 0,
+    isLaunched: !!stone.isLaunched,
+    isOut: !!stone.isOut,
+    hasStoppedNotified: stone.hasStoppedNotified ?? true,
+    touchedBoard: !!stone.touchedBoard,
+    hogLineViolation: !!stone.hogLineViolation,
+    hogTiming: stone.hogTiming ? { ...stone.hogTiming } : null
+  };
+}
+
+function cloneStone(source) {
+  const stone = new CurlingStone({
+    position: source.position ?? { x: 0, y: 0 },
+    velocity: source.velocity ?? { vx: 0, vy: 0 },
+    rotationRadiansPerSecond: source.rotationRate ?? 0,
+    angleRadians: source.angle ?? 0,
+    color: source.color ?? StoneColor.RED
+  });
+  stone.number = source.number ?? 0;
+  stone.isLaunched = !!source.isLaunched;
+  stone.isOut = !!source.isOut;
+  stone.pendingRotationRate = source.pendingRotationRate ?? 0;
+  stone.rotationActivated = source.rotationActivated ?? true;
+  stone.hasStoppedNotified = source.hasStoppedNotified ?? true;
+  stone.touchedBoard = !!source.touchedBoard;
+  stone.hogLineViolation = !!source.hogLineViolation;
+  stone.hogTiming = source.hogTiming
+    ? { ...source.hogTiming }
+    : { backCrossedAt: null, nearCrossedAt: null, farCrossedAt: null };
+  return stone;
+}
 
 export class PhysicsEngine {
   constructor({
@@ -45,21 +94,31 @@ export class PhysicsEngine {
     curlAsymmetry = DEFAULT_CURL_ASYMMETRY,
     curlVelocityBias = DEFAULT_CURL_VELOCITY_BIAS,
     curlMinOmega = DEFAULT_CURL_MIN_OMEGA,
+    stoneMass = DEFAULT_STONE_MASS,
+    stoneInertiaFactor = DEFAULT_STONE_INERTIA_FACTOR,
     collisionRestitution = DEFAULT_COLLISION_RESTITUTION,
-    collisionSpinTransfer = DEFAULT_COLLISION_SPIN_TRANSFER,
-    collisionSpinDamping = DEFAULT_COLLISION_SPIN_DAMPING,
-    collisionTangentialLoss = DEFAULT_COLLISION_TANGENTIAL_LOSS,
+    collisionFriction = DEFAULT_COLLISION_FRICTION,
+    collisionIterations = DEFAULT_COLLISION_ITERATIONS,
+    fixedTimeStep = DEFAULT_FIXED_TIME_STEP,
+    maxStepsPerUpdate = DEFAULT_MAX_STEPS_PER_UPDATE,
     launchY,
     stoneRadius,
+    backLineNear,
     hogLineNear,
     hogLineFar,
     sheetExtents,
     backLineY,
+    boundaryMode = 'strict',
+    arenaOutRule = 'restPosition',
+    boardRestitution = DEFAULT_BOARD_RESTITUTION,
+    iceSurface = null,
+    iceWearEnabled = true,
     onStoneStopped,
     onHogSplit,
     onHogNearCross,
     onStoneReleased,
     onStoneCollision,
+    onBoardCollision,
     onStoneOut
   }) {
     this.frictionBaseline = frictionBaseline;
@@ -70,31 +129,57 @@ export class PhysicsEngine {
     this.curlAsymmetry = curlAsymmetry;
     this.curlVelocityBias = curlVelocityBias;
     this.curlMinOmega = curlMinOmega;
+    this.stoneMass = stoneMass;
+    this.stoneInertiaFactor = stoneInertiaFactor;
     this.collisionRestitution = collisionRestitution;
-    this.collisionSpinTransfer = collisionSpinTransfer;
-    this.collisionSpinDamping = collisionSpinDamping;
-    this.collisionTangentialLoss = collisionTangentialLoss;
+    this.collisionFriction = collisionFriction;
+    this.collisionIterations = collisionIterations;
+    this.fixedTimeStep = fixedTimeStep;
+    this.maxStepsPerUpdate = maxStepsPerUpdate;
     this.launchY = launchY;
     this.stoneRadius = stoneRadius;
+    this.backLineNear = backLineNear;
     this.hogLineNear = hogLineNear;
     this.hogLineFar = hogLineFar;
     this.sheetExtents = sheetExtents;
     this.backLineY = backLineY;
+    this.boundaryMode = boundaryMode;
+    this.arenaOutRule = arenaOutRule;
+    this.boardRestitution = boardRestitution;
+    this.iceSurface = iceSurface;
+    this.iceWearEnabled = iceWearEnabled;
     this.stones = [];
     this.stoneInventory = new Map();
     this.outTrayLayouts = new Map();
     this.outTrayIndices = new Map();
     this.isActive = false;
     this.lastTimestamp = null;
+    this.accumulator = 0;
+    this.simulationTime = 0;
+    this.stepCount = 0;
     this.onStoneStopped = onStoneStopped;
     this.onHogSplit = onHogSplit;
     this.onHogNearCross = onHogNearCross;
     this.onStoneReleased = onStoneReleased;
     this.onStoneCollision = onStoneCollision;
+    this.onBoardCollision = onBoardCollision;
     this.onStoneOut = onStoneOut;
     this.sweepState = null;
   }
 
+  setIceSurface(iceSurface) {
+    this.iceSurface = iceSurface ?? null;
+  }
+
+  setBoundaryRules({ boundaryMode = 'strict', arenaOutRule = 'restPosition' } = {}) {
+    this.boundaryMode = boundaryMode;
+    this.arenaOutRule = arenaOutRule;
+  }
+
+  isArenaMode() {
+    return this.boundaryMode === 'arena' && !!this.sheetExtents;
+  }
+
   setSweepState(sweepState) {
     this.sweepState = sweepState ?? null;
   }
@@ -107,7 +192,7 @@ export class PhysicsEngine {
     this.stoneInventory.clear();
     this.stones = [];
     this.isActive = false;
-    this.lastTimestamp = null;
+    this.resetClock();
 
     for (const config of stoneConfigs) {
       const stone = new CurlingStone({
@@ -124,6 +209,8 @@ export class PhysicsEngine {
       stone.rotationRate = 0;
       stone.rotationActivated = false;
       stone.hasStoppedNotified = true;
+      stone.touchedBoard = false;
+      stone.hogLineViolation = false;
       this.attachTiming(stone);
       const key = this.makeStoneKey(stone.color, stone.number);
       this.stoneInventory.set(key, stone);
@@ -174,6 +261,10 @@ export class PhysicsEngine {
     stone.isLaunched = true;
     stone.isOut = false;
     stone.hasStoppedNotified = false;
+    stone.touchedBoard = false;
+    stone.hogLineViolation = false;
+    stone.previousPosition = { ...stone.position };
+    stone.previousAngle = stone.angle;
     this.attachTiming(stone);
 
     if (this.onStoneReleased) {
@@ -181,11 +272,13 @@ export class PhysicsEngine {
     }
     this.isActive = true;
     this.lastTimestamp = null;
+    this.accumulator = 0;
     return stone;
   }
 
   attachTiming(stone) {
     stone.hogTiming = {
+      backCrossedAt: null,
       nearCrossedAt: null,
       farCrossedAt: null
     };
@@ -194,6 +287,7 @@ export class PhysicsEngine {
   update(timestamp) {
     if (!this.isActive) {
       this.lastTimestamp = timestamp;
+      this.accumulator = 0;
       return;
     }
 
@@ -202,13 +296,68 @@ export class PhysicsEngine {
       return;
     }
 
-    const deltaSeconds = (timestamp - this.lastTimestamp) / 1000;
+    const maxFrameSeconds = this.fixedTimeStep * this.maxStepsPerUpdate;
+    const frameSeconds = Math.min(Math.max(0, (timestamp - this.lastTimestamp) / 1000), maxFrameSeconds);
     this.lastTimestamp = timestamp;
-    this.step(deltaSeconds);
+    this.accumulator += frameSeconds;
+    while (this.isActive && this.accumulator >= this.fixedTimeStep) {
+      this.storePreviousState();
+      this.step(this.fixedTimeStep);
+      this.accumulator -= this.fixedTimeStep;
+    }
+    if (!this.isActive) {
+      this.accumulator = 0;
+    }
+  }
+
+  resetClock() {
+    this.lastTimestamp = null;
+    this.accumulator = 0;
+    for (const stone of this.stones) {
+      stone.previousPosition = null;
+      stone.previousAngle = null;
+    }
+  }
+
+  storePreviousState() {
+    for (const stone of this.stones) {
+      if (!stone.isLaunched) {
+        continue;
+      }
+      stone.previousPosition = { x: stone.position.x, y: stone.position.y };
+      stone.previousAngle = stone.angle ?? 0;
+    }
+  }
+
+  getInterpolationAlpha() {
+    if (!this.isActive || this.fixedTimeStep <= 0) {
+      return 1;
+    }
+    return Math.min(Math.max(this.accumulator / this.fixedTimeStep, 0), 1);
+  }
+
+  getRenderPose(stone) {
+    const pose = { x: stone.position.x, y: stone.position.y, angle: stone.angle ?? 0 };
+    if (!this.isActive || !stone.isLaunched || stone.isOut || !stone.previousPosition) {
+      return pose;
+    }
+    const alpha = this.getInterpolationAlpha();
+    pose.x = stone.previousPosition.x + (stone.position.x - stone.previousPosition.x) * alpha;
+    pose.y = stone.previousPosition.y + (stone.position.y - stone.previousPosition.y) * alpha;
+    let angleDelta = pose.angle - (stone.previousAngle ?? pose.angle);
+    if (angleDelta > Math.PI) {
+      angleDelta -= TWO_PI;
+    } else if (angleDelta < -Math.PI) {
+      angleDelta += TWO_PI;
+    }
+    pose.angle = (stone.previousAngle ?? pose.angle) + angleDelta * alpha;
+    return pose;
   }
 
   step(deltaSeconds) {
     let anyMoving = false;
+    this.simulationTime += deltaSeconds;
+    this.stepCount += 1;
 
     const rotationActivationY = (this.hogLineNear ?? 0) - FOOT_IN_METERS * 2;
 
@@ -232,8 +381,9 @@ export class PhysicsEngine {
         this.sweepState.key === this.makeStoneKey(stone.color, stone.number)
           ? this.sweepState
           : null;
-      const frictionMultiplier = sweepMatch?.frictionMultiplier ?? 1;
-      const curlMultiplier = sweepMatch?.curlMultiplier ?? 1;
+      const ice = this.iceSurface?.sample(stone.position.x, stone.position.y);
+      const frictionMultiplier = (sweepMatch?.frictionMultiplier ?? 1) * (ice?.friction ?? 1);
+      const curlMultiplier = (sweepMatch?.curlMultiplier ?? 1) * (ice?.curl ?? 1);
       const friction =
         (this.frictionBaseline + this.frictionSpeedFactor / (speed + this.frictionLowSpeedEps)) *
         frictionMultiplier;
@@ -258,8 +408,9 @@ export class PhysicsEngine {
           stone.rotationRate = 0;
           stone.rotationActivated = true;
         }
-        if (this.isOutBeforeFarHog(stone)) {
-          this.handleStoneOut(stone, 'hog');
+        const restingOutReason = this.getRestingOutReason(stone);
+        if (restingOutReason) {
+          this.handleStoneOut(stone, restingOutReason);
           continue;
         }
         if (!stone.hasStoppedNotified && this.onStoneStopped) {
@@ -298,10 +449,15 @@ export class PhysicsEngine {
       const previousY = stone.position.y;
       stone.position.x += dirX * displacement;
       stone.position.y += dirY * displacement;
+      if (this.iceSurface && this.iceWearEnabled) {
+        this.iceSurface.recordTravel(stone.position.x, stone.position.y, displacement);
+      }
 
       stone.velocity.vx = dirX * newSpeed;
       stone.velocity.vy = dirY * newSpeed;
-      if (this.isOutOfBounds(stone)) {
+      if (this.isArenaMode()) {
+        this.resolveBoardContact(stone);
+      } else if (this.isOutOfBounds(stone)) {
         this.handleStoneOut(stone, 'outOfBounds');
         continue;
       }
@@ -314,8 +470,9 @@ export class PhysicsEngine {
         stone.velocity.vx = 0;
         stone.velocity.vy = 0;
         if (!rotationActive) {
-          if (this.isOutBeforeFarHog(stone)) {
-            this.handleStoneOut(stone, 'hog');
+          const restingOutReason = this.getRestingOutReason(stone);
+          if (restingOutReason) {
+            this.handleStoneOut(stone, restingOutReason);
             continue;
           }
           if (!stone.hasStoppedNotified && this.onStoneStopped) {
@@ -330,13 +487,14 @@ export class PhysicsEngine {
       }
     }
 
-    if (this.resolveCollisions(deltaSeconds)) {
+    if (this.resolveCollisions()) {
       anyMoving = true;
     }
 
     if (!anyMoving) {
       this.isActive = false;
       this.lastTimestamp = null;
+      this.accumulator = 0;
     }
   }
 
@@ -372,6 +530,46 @@ export class PhysicsEngine {
     return stone.position.y < this.hogLineFar;
   }
 
+  getRestingOutReason(stone) {
+    if (this.isOutBeforeFarHog(stone)) {
+      return 'hog';
+    }
+    if (!this.isArenaMode()) {
+      return null;
+    }
+    if (this.arenaOutRule === 'boardContact' && stone.touchedBoard) {
+      return 'board';
+    }
+    return this.isOutOfBounds(stone) ? 'outOfBounds' : null;
+  }
+
+  resolveBoardContact(stone) {
+    const { xMin, xMax, yMin, yMax } = this.sheetExtents;
+    const radius = this.stoneRadius;
+    const walls = [
+      { axis: 'x', velocity: 'vx', limit: xMin + radius, sign: -1 },
+      { axis: 'x', velocity: 'vx', limit: xMax - radius, sign: 1 },
+      { axis: 'y', velocity: 'vy', limit: yMin + radius, sign: -1 },
+      { axis: 'y', velocity: 'vy', limit: yMax - radius, sign: 1 }
+    ];
+    for (const wall of walls) {
+      const penetration = (stone.position[wall.axis] - wall.limit) * wall.sign;
+      const approachSpeed = stone.velocity[wall.velocity] * wall.sign;
+      if (penetration < 0 || approachSpeed <= 0) {
+        continue;
+      }
+      const tangent = wall.velocity === 'vx' ? 'vy' : 'vx';
+      stone.position[wall.axis] = wall.limit;
+      stone.velocity[wall.velocity] = -stone.velocity[wall.velocity] * this.boardRestitution;
+      stone.velocity[tangent] *= 1 - DEFAULT_BOARD_TANGENTIAL_LOSS;
+      stone.rotationRate = (stone.rotationRate ?? 0) * DEFAULT_BOARD_SPIN_DAMPING;
+      stone.touchedBoard = true;
+      if (this.onBoardCollision) {
+        this.onBoardCollision(approachSpeed, stone);
+      }
+    }
+  }
+
   isOutOfBounds(stone) {
     if (!this.sheetExtents) {
       return false;
@@ -393,6 +591,14 @@ export class PhysicsEngine {
     return false;
   }
 
+  flagHogLineViolation(stone) {
+    if (!stone?.isLaunched || stone.isOut) {
+      return;
+    }
+    stone.hogLineViolation = true;
+    this.handleStoneOut(stone, 'hogLineViolation');
+  }
+
   handleStoneOut(stone, reason) {
     stone.velocity.vx = 0;
     stone.velocity.vy = 0;
@@ -404,6 +610,8 @@ export class PhysicsEngine {
     stone.isOut = true;
     stone.hasStoppedNotified = true;
     this.placeStoneInOutTray(stone);
+    stone.previousPosition = null;
+    stone.previousAngle = null;
     if (this.onStoneOut) {
       this.onStoneOut(stone, reason);
     }
@@ -437,6 +645,228 @@ export class PhysicsEngine {
     return this.stones;
   }
 
+  captureState() {
+    return {
+      stones: this.stones.map((stone) => serializeStone(stone)),
+      outTrayIndices: Object.fromEntries(this.outTrayIndices),
+      ice: this.iceSurface ? this.iceSurface.captureState() : null
+    };
+  }
+
+  restoreState(state) {
+    if (!state || !Array.isArray(state.stones)) {
+      return;
+    }
+    for (const saved of state.stones) {
+      const stone = this.findStone(saved.color, saved.number);
+      if (!stone) {
+        continue;
+      }
+      const restored = cloneStone(saved);
+      stone.position = restored.position;
+      stone.velocity = restored.velocity;
+      stone.rotationRate = restored.rotationRate;
+      stone.pendingRotationRate = restored.pendingRotationRate;
+      stone.rotationActivated = restored.rotationActivated;
+      stone.angle = restored.angle;
+      stone.isLaunched = restored.isLaunched;
+      stone.isOut = restored.isOut;
+      stone.hasStoppedNotified = restored.hasStoppedNotified;
+      stone.touchedBoard = restored.touchedBoard;
+      stone.hogLineViolation = restored.hogLineViolation;
+      stone.hogTiming = restored.hogTiming;
+    }
+    for (const [color, index] of Object.entries(state.outTrayIndices ?? {})) {
+      this.outTrayIndices.set(color, index);
+    }
+    if (state.ice) {
+      this.iceSurface?.restoreState(state.ice);
+    }
+    this.isActive = this.stones.some(
+      (stone) =>
+        stone.isLaunched &&
+        !stone.isOut &&
+        (Math.hypot(stone.velocity.vx, stone.velocity.vy) > SPEED_EPSILON ||
+          Math.abs(stone.rotationRate ?? 0) > SPEED_EPSILON)
+    );
+    this.resetClock();
+  }
+
+  simulateShot(options = {}) {
+    const simulation = this.simulateShotInSteps(options);
+    let result = simulation.next();
+    while (!result.done) {
+      result = simulation.next();
+    }
+    return result.value;
+  }
+
+  *simulateShotInSteps({
+    stones = this.stones,
+    color,
+    number,
+    launchSpeed,
+    direction = { x: 0, y: 1 },
+    offsetX = 0,
+    rotationRate = 0,
+    sweepProfile = null,
+    timeStep = this.fixedTimeStep,
+    maxSeconds = DEFAULT_SIMULATION_MAX_SECONDS,
+    sampleInterval = DEFAULT_SIMULATION_SAMPLE_INTERVAL,
+    stepsPerYield = Infinity
+  } = {}) {
+    let elapsed = 0;
+    let stepsSinceYield = 0;
+    const collisions = [];
+    const outs = [];
+    const engine = new PhysicsEngine({
+      frictionBaseline: this.frictionBaseline,
+      frictionSpeedFactor: this.frictionSpeedFactor,
+      frictionLowSpeedEps: this.frictionLowSpeedEps,
+      curlMinSpeed: this.curlMinSpeed,
+      curlRotationReference: this.curlRotationReference,
+      curlAsymmetry: this.curlAsymmetry,
+      curlVelocityBias: this.curlVelocityBias,
+      curlMinOmega: this.curlMinOmega,
+      stoneMass: this.stoneMass,
+      stoneInertiaFactor: this.stoneInertiaFactor,
+      collisionRestitution: this.collisionRestitution,
+      collisionFriction: this.collisionFriction,
+      collisionIterations: this.collisionIterations,
+      fixedTimeStep: this.fixedTimeStep,
+      launchY: this.launchY,
+      stoneRadius: this.stoneRadius,
+      backLineNear: this.backLineNear,
+      hogLineNear: this.hogLineNear,
+      hogLineFar: this.hogLineFar,
+      sheetExtents: this.sheetExtents,
+      backLineY: this.backLineY,
+      boundaryMode: this.boundaryMode,
+      arenaOutRule: this.arenaOutRule,
+      boardRestitution: this.boardRestitution,
+      iceSurface: this.iceSurface,
+      iceWearEnabled: false,
+      onStoneCollision: (speed, stoneA, stoneB) => {
+        collisions.push({
+          time: elapsed,
+          speed,
+          stones: [
+            this.makeStoneKey(stoneA.color, stoneA.number),
+            this.makeStoneKey(stoneB.color, stoneB.number)
+          ]
+        });
+      },
+      onStoneOut: (stone, reason) => {
+        outs.push({ time: elapsed, key: this.makeStoneKey(stone.color, stone.number), reason });
+      }
+    });
+
+    for (const source of stones) {
+      const stone = cloneStone(source);
+      engine.stoneInventory.set(this.makeStoneKey(stone.color, stone.number), stone);
+      engine.stones.push(stone);
+    }
+    for (const [slotColor, slots] of this.outTrayLayouts) {
+      engine.outTrayLayouts.set(slotColor, slots);
+      engine.outTrayIndices.set(slotColor, this.outTrayIndices.get(slotColor) ?? 0);
+    }
+
+    let thrownStone = null;
+    if (launchSpeed != null) {
+      const length = Math.hypot(direction.x, direction.y) || 1;
+      thrownStone = engine.throwStone({
+        color,
+        number,
+        velocity: {
+          vx: (direction.x / length) * launchSpeed,
+          vy: (direction.y / length) * launchSpeed
+        },
+        rotationRadiansPerSecond: rotationRate,
+        offsetX
+      });
+    } else {
+      engine.isActive = true;
+    }
+
+    const sweepEvents = Array.isArray(sweepProfile)
+      ? [...sweepProfile].sort((a, b) => a.time - b.time)
+      : [];
+    const sweepKey = thrownStone ? this.makeStoneKey(thrownStone.color, thrownStone.number) : null;
+    let sweepIndex = 0;
+
+    const paths = {};
+    const sample = () => {
+      for (const stone of engine.stones) {
+        if (!stone.isLaunched || stone.isOut) {
+          continue;
+        }
+        const key = this.makeStoneKey(stone.color, stone.number);
+        const moving =
+          Math.hypot(stone.velocity.vx, stone.velocity.vy) > SPEED_EPSILON ||
+          stone === thrownStone;
+        if (!moving && !paths[key]) {
+          continue;
+        }
+        paths[key] = paths[key] ?? [];
+        paths[key].push({ time: elapsed, x: stone.position.x, y: stone.position.y });
+      }
+    };
+
+    sample();
+    let nextSampleAt = sampleInterval;
+    while (engine.isRunning() && elapsed < maxSeconds) {
+      while (sweepIndex < sweepEvents.length && sweepEvents[sweepIndex].time <= elapsed) {
+        const event = sweepEvents[sweepIndex];
+        if (event.active === false) {
+          engine.clearSweepState();
+        } else {
+          engine.setSweepState({
+            key: event.key ?? sweepKey,
+            frictionMultiplier: event.frictionMultiplier ?? 1,
+            curlMultiplier: event.curlMultiplier ?? 1
+          });
+        }
+        sweepIndex += 1;
+      }
+      engine.step(timeStep);
+      elapsed += timeStep;
+      if (elapsed >= nextSampleAt || !engine.isRunning()) {
+        sample();
+        nextSampleAt += sampleInterval;
+      }
+      stepsSinceYield += 1;
+      if (stepsSinceYield >= stepsPerYield) {
+        stepsSinceYield = 0;
+        yield;
+      }
+    }
+
+    const thrownKey = thrownStone ? this.makeStoneKey(thrownStone.color, thrownStone.number) : null;
+    return {
+      stones: engine.stones.map((stone) => ({
+        color: stone.color,
+        number: stone.number,
+        position: { ...stone.position },
+        isLaunched: stone.isLaunched,
+        isOut: stone.isOut
+      })),
+      thrownStone: thrownKey
+        ? {
+            color: thrownStone.color,
+            number: thrownStone.number,
+            position: { ...thrownStone.position },
+            isOut: thrownStone.isOut
+          }
+        : null,
+      collisions,
+      outs,
+      path: thrownKey ? paths[thrownKey] ?? [] : [],
+      paths,
+      duration: elapsed,
+      settled: !engine.isRunning()
+    };
+  }
+
   isRunning() {
     return this.isActive;
   }
@@ -446,17 +876,31 @@ export class PhysicsEngine {
       return;
     }
 
+    const backNear = this.backLineNear;
     const hogNear = this.hogLineNear;
     const hogFar = this.hogLineFar;
 
+    if (
+      backNear != null &&
+      stone.hogTiming.backCrossedAt == null &&
+      stone.hogTiming.nearCrossedAt == null &&
+      previousY < backNear &&
+      stone.position.y >= backNear
+    ) {
+      stone.hogTiming.backCrossedAt = this.simulationTime * 1000;
+    }
+
     if (
       stone.hogTiming.nearCrossedAt == null &&
       ((previousY < hogNear && stone.position.y >= hogNear) ||
         (previousY > hogNear && stone.position.y <= hogNear))
     ) {
-      stone.hogTiming.nearCrossedAt = performance.now();
+      stone.hogTiming.nearCrossedAt = this.simulationTime * 1000;
       if (this.onHogNearCross) {
-        this.onHogNearCross();
+        const durationMs = stone.hogTiming.backCrossedAt != null
+          ? stone.hogTiming.nearCrossedAt - stone.hogTiming.backCrossedAt
+          : null;
+        this.onHogNearCross(durationMs);
       }
     }
 
@@ -466,7 +910,7 @@ export class PhysicsEngine {
       ((previousY < hogFar && stone.position.y >= hogFar) ||
         (previousY > hogFar && stone.position.y <= hogFar))
     ) {
-      stone.hogTiming.farCrossedAt = performance.now();
+      stone.hogTiming.farCrossedAt = this.simulationTime * 1000;
       if (this.onHogSplit) {
         const durationMs = stone.hogTiming.farCrossedAt - stone.hogTiming.nearCrossedAt;
         this.onHogSplit(durationMs);
@@ -475,47 +919,110 @@ export class PhysicsEngine {
   }
 
 
-  resolveCollisions(deltaSeconds) {
+  resolveCollisions() {
     const radius = this.stoneRadius ?? 0.145;
     if (!radius) {
       return false;
     }
 
-    const minDistance = radius * 2;
-    const restitution = Math.max(
-      0,
-      Math.min(this.collisionRestitution ?? DEFAULT_COLLISION_RESTITUTION, 1)
-    );
-    const spinTransfer = Math.max(
-      0,
-      this.collisionSpinTransfer ?? DEFAULT_COLLISION_SPIN_TRANSFER
-    );
-    const spinDamping = Math.max(
-      0,
-      Math.min(this.collisionSpinDamping ?? DEFAULT_COLLISION_SPIN_DAMPING, 0.95)
-    );
-    const tangentialLoss = Math.max(
-      0,
-      Math.min(this.collisionTangentialLoss ?? DEFAULT_COLLISION_TANGENTIAL_LOSS, 0.95)
-    );
+    const contacts = this.findContacts(radius);
+    if (contacts.length === 0) {
+      return false;
+    }
 
-    const rewindStone = (stone, time) => {
-      if (!stone || time <= 0) {
-        return;
+    const restitution = Math.max(0, Math.min(this.collisionRestitution, 1));
+    const friction = Math.max(0, this.collisionFriction);
+    const inverseMass = 1 / this.stoneMass;
+    const inverseInertia = 1 / (this.stoneInertiaFactor * this.stoneMass * radius * radius);
+    const normalMass = 1 / (inverseMass * 2);
+    const tangentMass = 1 / (inverseMass * 2 + radius * radius * inverseInertia * 2);
+    const bodies = new Map();
+    const getBody = (stone) => {
+      let body = bodies.get(stone);
+      if (!body) {
+        body = { stone, omega: -(stone.rotationRate ?? 0), initialOmega: -(stone.rotationRate ?? 0) };
+        bodies.set(stone, body);
       }
-      stone.position.x -= (stone.velocity.vx ?? 0) * time;
-      stone.position.y -= (stone.velocity.vy ?? 0) * time;
+      return body;
     };
 
-    const advanceStone = (stone, time) => {
-      if (!stone || time <= 0) {
-        return;
+    for (const contact of contacts) {
+      contact.bodyA = getBody(contact.stoneA);
+      contact.bodyB = getBody(contact.stoneB);
+      contact.approachSpeed = Math.max(0, this.getContactVelocity(contact, radius).normal);
+      contact.normalImpulse = 0;
+      contact.tangentImpulse = 0;
+      if (this.onStoneCollision && contact.approachSpeed > SPEED_EPSILON) {
+        const { stoneA, stoneB } = contact;
+        const impactSpeed = Math.hypot(
+          stoneA.velocity.vx - stoneB.velocity.vx,
+          stoneA.velocity.vy - stoneB.velocity.vy
+        );
+        this.onStoneCollision(impactSpeed, stoneA, stoneB);
       }
-      stone.position.x += (stone.velocity.vx ?? 0) * time;
-      stone.position.y += (stone.velocity.vy ?? 0) * time;
-    };
+    }
+    contacts.sort((first, second) => second.approachSpeed - first.approachSpeed);
+
+    for (let iteration = 0; iteration < this.collisionIterations; iteration += 1) {
+      let largestChange = 0;
+      for (const contact of contacts) {
+        const { stoneA, stoneB, bodyA, bodyB, normalX, normalY } = contact;
+        const velocity = this.getContactVelocity(contact, radius);
+        contact.approachSpeed = Math.max(contact.approachSpeed, velocity.normal);
+        const targetNormal = -restitution * contact.approachSpeed;
+        const previousNormal = contact.normalImpulse;
+        contact.normalImpulse = Math.max(
+          0,
+          previousNormal + (velocity.normal - targetNormal) * normalMass
+        );
+        const normalDelta = contact.normalImpulse - previousNormal;
+
+        const previousTangent = contact.tangentImpulse;
+        const tangentLimit = friction * contact.normalImpulse;
+        contact.tangentImpulse = Math.max(
+          -tangentLimit,
+          Math.min(tangentLimit, previousTangent + velocity.tangent * tangentMass)
+        );
+        const tangentDelta = contact.tangentImpulse - previousTangent;
+
+        const impulseX = normalX * normalDelta - normalY * tangentDelta;
+        const impulseY = normalY * normalDelta + normalX * tangentDelta;
+        stoneA.velocity.vx -= impulseX * inverseMass;
+        stoneA.velocity.vy -= impulseY * inverseMass;
+        stoneB.velocity.vx += impulseX * inverseMass;
+        stoneB.velocity.vy += impulseY * inverseMass;
+        bodyA.omega -= radius * tangentDelta * inverseInertia;
+        bodyB.omega -= radius * tangentDelta * inverseInertia;
+        largestChange = Math.max(largestChange, Math.abs(normalDelta), Math.abs(tangentDelta));
+      }
+      if (largestChange * inverseMass < COLLISION_EPSILON) {
+        break;
+      }
+    }
 
     let generatedMotion = false;
+    for (const contact of contacts) {
+      if (contact.normalImpulse > 0) {
+        contact.bodyA.stone.hasStoppedNotified = false;
+        contact.bodyB.stone.hasStoppedNotified = false;
+        generatedMotion = true;
+      }
+    }
+    for (const body of bodies.values()) {
+      if (body.omega !== body.initialOmega) {
+        body.stone.rotationRate = -body.omega;
+        body.stone.pendingRotationRate = 0;
+        body.stone.rotationActivated = true;
+      }
+    }
+
+    this.separateContacts(contacts, radius);
+    return generatedMotion;
+  }
+
+  findContacts(radius) {
+    const minDistance = radius * 2;
+    const contacts = [];
     for (let i = 0; i < this.stones.length; i += 1) {
       const stoneA = this.stones[i];
       if (!stoneA?.isLaunched || stoneA.isOut) {
@@ -526,123 +1033,60 @@ export class PhysicsEngine {
         if (!stoneB?.isLaunched || stoneB.isOut) {
           continue;
         }
-
-        let dx = stoneB.position.x - stoneA.position.x;
-        let dy = stoneB.position.y - stoneA.position.y;
-        let distance = Math.hypot(dx, dy);
-        if (distance >= minDistance && distance > 0) {
+        const dx = stoneB.position.x - stoneA.position.x;
+        const dy = stoneB.position.y - stoneA.position.y;
+        const distance = Math.hypot(dx, dy);
+        if (distance >= minDistance) {
           continue;
         }
+        const hasNormal = distance > COLLISION_EPSILON;
+        contacts.push({
+          stoneA,
+          stoneB,
+          normalX: hasNormal ? dx / distance : 1,
+          normalY: hasNormal ? dy / distance : 0,
+          penetration: minDistance - distance
+        });
+      }
+    }
+    return contacts;
+  }
 
-        let normalX = 1;
-        let normalY = 0;
-        if (distance > COLLISION_EPSILON) {
-          normalX = dx / distance;
-          normalY = dy / distance;
-        }
-
-        const relVelXInitial = (stoneA.velocity.vx ?? 0) - (stoneB.velocity.vx ?? 0);
-        const relVelYInitial = (stoneA.velocity.vy ?? 0) - (stoneB.velocity.vy ?? 0);
-        let relVelAlongNormal = relVelXInitial * normalX + relVelYInitial * normalY;
-        const overlapInitial = Math.max(0, minDistance - distance);
-        const impactSpeed = Math.hypot(relVelXInitial, relVelYInitial);
-        if (this.onStoneCollision && impactSpeed > SPEED_EPSILON) {
-          this.onStoneCollision(impactSpeed, stoneA, stoneB);
-        }
-
-        let rewindTime = 0;
-        if (
-          overlapInitial > COLLISION_EPSILON &&
-          relVelAlongNormal < -SPEED_EPSILON &&
-          deltaSeconds &&
-          deltaSeconds > SPEED_EPSILON
-        ) {
-          const penetrationSpeed = -relVelAlongNormal;
-          const maxRewind = deltaSeconds;
-          rewindTime = Math.min(overlapInitial / (penetrationSpeed + 1e-6), maxRewind);
-          if (rewindTime > 0) {
-            rewindStone(stoneA, rewindTime);
-            rewindStone(stoneB, rewindTime);
-            dx = stoneB.position.x - stoneA.position.x;
-            dy = stoneB.position.y - stoneA.position.y;
-            distance = Math.hypot(dx, dy);
-            if (distance > COLLISION_EPSILON) {
-              normalX = dx / distance;
-              normalY = dy / distance;
-            }
-            relVelAlongNormal =
-              ((stoneA.velocity.vx ?? 0) - (stoneB.velocity.vx ?? 0)) * normalX +
-              ((stoneA.velocity.vy ?? 0) - (stoneB.velocity.vy ?? 0)) * normalY;
-          }
-        }
-
-        distance = Math.hypot(dx, dy);
-        const overlapAfterRewind = Math.max(0, minDistance - distance);
-        if (rewindTime === 0 && overlapAfterRewind > COLLISION_EPSILON) {
-          const correction = overlapAfterRewind * 0.5;
-          stoneA.position.x -= normalX * correction;
-          stoneA.position.y -= normalY * correction;
-          stoneB.position.x += normalX * correction;
-          stoneB.position.y += normalY * correction;
-        }
-
-        const relVelX = (stoneA.velocity.vx ?? 0) - (stoneB.velocity.vx ?? 0);
-        const relVelY = (stoneA.velocity.vy ?? 0) - (stoneB.velocity.vy ?? 0);
-        relVelAlongNormal = relVelX * normalX + relVelY * normalY;
-
-        if (relVelAlongNormal > SPEED_EPSILON) {
-          const impulse = (1 + restitution) * relVelAlongNormal * 0.5;
-          stoneA.velocity.vx = (stoneA.velocity.vx ?? 0) - impulse * normalX;
-          stoneA.velocity.vy = (stoneA.velocity.vy ?? 0) - impulse * normalY;
-          stoneB.velocity.vx = (stoneB.velocity.vx ?? 0) + impulse * normalX;
-          stoneB.velocity.vy = (stoneB.velocity.vy ?? 0) + impulse * normalY;
-        }
-
-        const tangentX = -normalY;
-        const tangentY = normalX;
-        const relVelTangential = relVelX * tangentX + relVelY * tangentY;
-        if (Math.abs(relVelTangential) > SPEED_EPSILON && tangentialLoss > 0) {
-          const tangentialImpulse = relVelTangential * tangentialLoss * 0.5;
-          stoneA.velocity.vx -= tangentialImpulse * tangentX;
-          stoneA.velocity.vy -= tangentialImpulse * tangentY;
-          stoneB.velocity.vx += tangentialImpulse * tangentX;
-          stoneB.velocity.vy += tangentialImpulse * tangentY;
-        }
-
-        const rotationA = stoneA.rotationRate ?? 0;
-        const rotationB = stoneB.rotationRate ?? 0;
-        const spinSurfaceVelocity = (rotationA - rotationB) * radius;
-        const combinedTangential = relVelTangential + spinSurfaceVelocity;
-
-        if (Math.abs(combinedTangential) > SPEED_EPSILON && spinTransfer > 0) {
-          const angularDelta = (combinedTangential / radius) * spinTransfer * 0.5;
-          stoneA.rotationRate = rotationA - angularDelta;
-          stoneB.rotationRate = rotationB + angularDelta;
-          stoneA.rotationActivated = true;
-          stoneB.rotationActivated = true;
-          if (spinDamping > 0) {
-            stoneA.rotationRate *= 1 - spinDamping;
-            stoneB.rotationRate *= 1 - spinDamping;
-          }
-        }
-
-        if (Math.abs(stoneA.rotationRate ?? 0) > 0) {
-          stoneA.hasStoppedNotified = false;
-        }
-        if (Math.abs(stoneB.rotationRate ?? 0) > 0) {
-          stoneB.hasStoppedNotified = false;
-        }
+  getContactVelocity({ stoneA, stoneB, bodyA, bodyB, normalX, normalY }, radius) {
+    const relativeX = stoneA.velocity.vx - stoneB.velocity.vx;
+    const relativeY = stoneA.velocity.vy - stoneB.velocity.vy;
+    return {
+      normal: relativeX * normalX + relativeY * normalY,
+      tangent: -relativeX * normalY + relativeY * normalX + radius * (bodyA.omega + bodyB.omega)
+    };
+  }
 
-        if (rewindTime > 0) {
-          advanceStone(stoneA, rewindTime);
-          advanceStone(stoneB, rewindTime);
+  separateContacts(contacts, radius) {
+    const minDistance = radius * 2;
+    for (let iteration = 0; iteration < this.collisionIterations; iteration += 1) {
+      let largestPenetration = 0;
+      for (const contact of contacts) {
+        const { stoneA, stoneB } = contact;
+        const dx = stoneB.position.x - stoneA.position.x;
+        const dy = stoneB.position.y - stoneA.position.y;
+        const distance = Math.hypot(dx, dy);
+        const penetration = minDistance - distance;
+        if (penetration <= COLLISION_EPSILON) {
+          continue;
         }
-
-        generatedMotion = true;
+        const normalX = distance > COLLISION_EPSILON ? dx / distance : contact.normalX;
+        const normalY = distance > COLLISION_EPSILON ? dy / distance : contact.normalY;
+        const correction = penetration * 0.5;
+        stoneA.position.x -= normalX * correction;
+        stoneA.position.y -= normalY * correction;
+        stoneB.position.x += normalX * correction;
+        stoneB.position.y += normalY * correction;
+        largestPenetration = Math.max(largestPenetration, penetration);
+      }
+      if (largestPenetration <= COLLISION_EPSILON) {
+        break;
       }
     }
-
-    return generatedMotion;
   }
 
   computeCurlHeadingDelta(stone, speed, displacement, deltaSeconds, curlMultiplier = 1) {
@@ -0,0 +1,190 @@
+const VIEWER_AUTO_ADVANCE_MS = 1200;
+
+export function createRecordViewerController(config) {
+	let record = null;
+	let engine = null;
+	let homeState = null;
+	let endPosition = 0;
+	let framePosition = 0;
+	let playing = false;
+	let nextAdvanceAt = null;
+
+	const getEnd = () => record.ends[endPosition];
+
+	const getFrameCount = () => getEnd().throws.length + 1;
+
+	const getTeamName = (color) =>
+		record.metadata.teams.find((team) => team.color === color)?.name ?? color;
+
+	const getScoreBefore = (endIndex) => {
+		const totals = {};
+		record.metadata.teams.forEach((team) => {
+			totals[team.color] = 0;
+		});
+		record.ends
+			.filter((end) => end.index < endIndex && end.score)
+			.forEach((end) => {
+				Object.entries(end.score).forEach(([color, points]) => {
+					totals[color] = (totals[color] ?? 0) + points;
+				});
+			});
+		return totals;
+	};
+
+	const placeStone = (entry) => {
+		const stone = engine.findStone(entry.color, entry.number);
+		if (!stone) {
+			return null;
+		}
+		stone.position = { x: entry.x, y: entry.y };
+		stone.isLaunched = true;
+		stone.isOut = false;
+		return stone;
+	};
+
+	const applyFrame = () => {
+		const end = getEnd();
+		engine.restoreState(homeState);
+		engine.resetOutTrayIndices();
+		const thrown = end.throws.slice(0, framePosition);
+		const positions = framePosition > 0
+			? thrown[thrown.length - 1].result ?? []
+			: end.initialStones ?? [];
+		const placedKeys = new Set(
+			positions.filter((entry) => placeStone(entry)).map((entry) => `${entry.color}:${entry.number}`)
+		);
+		[...(end.initialStones ?? []), ...thrown].forEach((entry) => {
+			const key = `${entry.color}:${entry.number}`;
+			const stone = engine.findStone(entry.color, entry.number);
+			if (!stone || placedKeys.has(key)) {
+				return;
+			}
+			placedKeys.add(key);
+			stone.isLaunched = true;
+			stone.isOut = true;
+			engine.placeStoneInOutTray(stone);
+		});
+		notifyProgress();
+	};
+
+	const notifyProgress = () => {
+		const end = getEnd();
+		const score = getScoreBefore(end.index);
+		const lastThrow = framePosition > 0 ? end.throws[framePosition - 1] : null;
+		config.onProgress?.({
+			endNumber: end.index + 1,
+			throwNumber: framePosition,
+			throwCount: end.throws.length,
+			teamName: lastThrow ? getTeamName(lastThrow.color) : null,
+			score: record.metadata.teams.map((team) => ({
+				name: team.name,
+				points: score[team.color] ?? 0
+			})),
+			progress: getFrameCount() > 1 ? framePosition / (getFrameCount() - 1) : 1,
+			playing
+		});
+	};
+
+	const open = (nextRecord) => {
+		if (!nextRecord.ends.length) {
+			return false;
+		}
+		record = nextRecord;
+		engine = config.createPhysicsEngine(record.metadata.stonesPerTeam);
+		homeState = engine.captureState();
+		endPosition = 0;
+		framePosition = 0;
+		playing = false;
+		nextAdvanceAt = null;
+		applyFrame();
+		return true;
+	};
+
+	const close = () => {
+		record = null;
+		engine = null;
+		homeState = null;
+		playing = false;
+		nextAdvanceAt = null;
+	};
+
+	const showEnd = (position) => {
+		if (!record) {
+			return;
+		}
+		endPosition = Math.max(0, Math.min(record.ends.length - 1, position));
+		framePosition = 0;
+		nextAdvanceAt = null;
+		applyFrame();
+	};
+
+	const advance = () => {
+		if (framePosition < getFrameCount() - 1) {
+			framePosition += 1;
+			applyFrame();
+			return true;
+		}
+		if (endPosition < record.ends.length - 1) {
+			showEnd(endPosition + 1);
+			return true;
+		}
+		return false;
+	};
+
+	const togglePause = () => {
+		if (!record) {
+			return;
+		}
+		const isAtEnd = endPosition === record.ends.length - 1 && framePosition === getFrameCount() - 1;
+		if (!playing && isAtEnd) {
+			showEnd(0);
+		}
+		playing = !playing;
+		nextAdvanceAt = null;
+		notifyProgress();
+	};
+
+	const next = () => showEnd(endPosition + 1);
+
+	const previous = () => showEnd(endPosition - 1);
+
+	const seek = (fraction) => {
+		if (!record) {
+			return;
+		}
+		framePosition = Math.round(fraction * (getFrameCount() - 1));
+		nextAdvanceAt = null;
+		applyFrame();
+	};
+
+	const update = (timestamp) => {
+		if (!record || !playing) {
+			return;
+		}
+		if (nextAdvanceAt == null) {
+			nextAdvanceAt = timestamp + VIEWER_AUTO_ADVANCE_MS;
+			return;
+		}
+		if (timestamp < nextAdvanceAt) {
+			return;
+		}
+		nextAdvanceAt = timestamp + VIEWER_AUTO_ADVANCE_MS;
+		if (!advance()) {
+			playing = false;
+			nextAdvanceAt = null;
+			notifyProgress();
+		}
+	};
+
+	return {
+		open,
+		close,
+		togglePause,
+		next,
+		previous,
+		seek,
+		update,
+		isOpen: () => !!record,
+		getEngine: () => engine
+	};
+}
@@ -0,0 +1,146 @@
+const CORRECTION_BLEND_SECONDS = 0.15;
+const MAX_EXTRAPOLATION_SECONDS = 1;
+const EXTRAPOLATION_SAMPLE_SECONDS = 1 / 60;
+const OFFSET_EPSILON = 1e-4;
+
+const getStoneKey = (stone) => `${stone.color}:${stone.number}`;
+
+const isStoneInPlay = (stone) => stone.isLaunched && !stone.isOut;
+
+function samplePath(path, time) {
+	if (!path?.length) {
+		return null;
+	}
+	let index = 1;
+	while (index < path.length && path[index].time < time) {
+		index += 1;
+	}
+	if (index >= path.length) {
+		return path[path.length - 1];
+	}
+	const from = path[index - 1];
+	const to = path[index];
+	const span = to.time - from.time;
+	const t = span > 0 ? Math.min(Math.max((time - from.time) / span, 0), 1) : 1;
+	return { x: from.x + (to.x - from.x) * t, y: from.y + (to.y - from.y) * t };
+}
+
+export function createRemoteSmoothingController(config) {
+	const offsets = new Map();
+	let prediction = null;
+	let lastTimestamp = null;
+
+	const getPredictionSeconds = () =>
+		prediction ? Math.min(Math.max(0, (prediction.now - prediction.startedAt) / 1000), MAX_EXTRAPOLATION_SECONDS) : 0;
+
+	const getRenderPose = (stone) => {
+		const pose = config.physicsEngine.getRenderPose(stone);
+		if (!isStoneInPlay(stone)) {
+			return pose;
+		}
+		const key = getStoneKey(stone);
+		if (prediction) {
+			const seconds = getPredictionSeconds();
+			const point = samplePath(prediction.paths[key], seconds);
+			if (point) {
+				pose.x = point.x;
+				pose.y = point.y;
+				pose.angle += (stone.rotationRate ?? 0) * seconds;
+			}
+		}
+		const offset = offsets.get(key);
+		if (offset) {
+			pose.x += offset.x;
+			pose.y += offset.y;
+			pose.angle += offset.angle;
+		}
+		return pose;
+	};
+
+	const captureDisplayPoses = () => {
+		const poses = new Map();
+		for (const stone of config.physicsEngine.getStones()) {
+			if (isStoneInPlay(stone)) {
+				poses.set(getStoneKey(stone), getRenderPose(stone));
+			}
+		}
+		return poses;
+	};
+
+	const blendFrom = (previousPoses) => {
+		offsets.clear();
+		for (const stone of config.physicsEngine.getStones()) {
+			const previous = previousPoses.get(getStoneKey(stone));
+			if (!previous || !isStoneInPlay(stone)) {
+				continue;
+			}
+			const pose = config.physicsEngine.getRenderPose(stone);
+			offsets.set(getStoneKey(stone), {
+				x: previous.x - pose.x,
+				y: previous.y - pose.y,
+				angle: previous.angle - pose.angle
+			});
+		}
+	};
+
+	const applyCorrection = (apply) => {
+		const previousPoses = captureDisplayPoses();
+		prediction = null;
+		apply();
+		blendFrom(previousPoses);
+	};
+
+	const startPrediction = (timestamp) => {
+		const engine = config.physicsEngine;
+		const sweepState = engine.sweepState;
+		const result = engine.simulateShot({
+			sweepProfile: sweepState ? [{ time: 0, ...sweepState }] : null,
+			maxSeconds: MAX_EXTRAPOLATION_SECONDS,
+			sampleInterval: EXTRAPOLATION_SAMPLE_SECONDS
+		});
+		prediction = { startedAt: timestamp, now: timestamp, paths: result.paths };
+	};
+
+	const decayOffsets = (deltaSeconds) => {
+		const factor = Math.exp(-deltaSeconds / CORRECTION_BLEND_SECONDS);
+		for (const [key, offset] of offsets) {
+			offset.x *= factor;
+			offset.y *= factor;
+			offset.angle *= factor;
+			if (Math.abs(offset.x) < OFFSET_EPSILON && Math.abs(offset.y) < OFFSET_EPSILON && Math.abs(offset.angle) < OFFSET_EPSILON) {
+				offsets.delete(key);
+			}
+		}
+	};
+
+	const update = (timestamp) => {
+		const deltaSeconds = lastTimestamp == null ? 0 : Math.max(0, (timestamp - lastTimestamp) / 1000);
+		lastTimestamp = timestamp;
+		decayOffsets(deltaSeconds);
+		if (config.isAwaitingRemoteSteps()) {
+			if (!prediction) {
+				startPrediction(timestamp);
+			}
+			prediction.now = timestamp;
+			return;
+		}
+		if (prediction) {
+			const previousPoses = captureDisplayPoses();
+			prediction = null;
+			blendFrom(previousPoses);
+		}
+	};
+
+	const reset = () => {
+		offsets.clear();
+		prediction = null;
+		lastTimestamp = null;
+	};
+
+	return {
+		getRenderPose,
+		applyCorrection,
+		update,
+		reset
+	};
+}
@@ -0,0 +1,312 @@
+const REPLAY_SHOT_PAUSE_MS = 900;
+const REPLAY_MAX_SHOT_SECONDS = 60;
+const REPLAY_MAX_FRAME_SECONDS = 0.25;
+
+export function applyShotEvent(engine, event) {
+	if (event.type === 'sweep') {
+		if (event.sweep) {
+			engine.setSweepState({ ...event.sweep });
+		} else {
+			engine.clearSweepState();
+		}
+		return;
+	}
+	if (event.type === 'rotation') {
+		const stone = engine.findStone(event.color, event.number);
+		if (!stone) {
+			return;
+		}
+		stone.rotationRate = event.rotationRate;
+		stone.pendingRotationRate = 0;
+		stone.rotationActivated = true;
+		stone.hasStoppedNotified = false;
+		return;
+	}
+	if (event.type === 'hogLineViolation') {
+		engine.flagHogLineViolation(engine.findStone(event.color, event.number));
+	}
+}
+
+export function createReplayController(config) {
+	const shotsByEnd = new Map();
+	let recordingShot = null;
+	let replayEngine = null;
+	let playback = null;
+
+	const getEngineStep = () => config.physicsEngine.stepCount;
+
+	const recordLaunch = (stone, launch) => {
+		const endIndex = config.getCurrentEndIndex();
+		recordingShot = {
+			endIndex,
+			throwIndex: config.getCurrentThrowIndex(),
+			color: stone.color,
+			number: stone.number,
+			startState: config.physicsEngine.captureState(),
+			velocity: { ...launch.velocity },
+			rotationRate: launch.rotationRadiansPerSecond ?? 0,
+			offsetX: launch.offsetX ?? 0,
+			launchStep: getEngineStep(),
+			events: [],
+			lastSweep: null
+		};
+		if (!shotsByEnd.has(endIndex)) {
+			shotsByEnd.set(endIndex, []);
+		}
+		shotsByEnd.get(endIndex).push(recordingShot);
+	};
+
+	const isSameSweep = (a, b) =>
+		a === b ||
+		(!!a &&
+			!!b &&
+			a.key === b.key &&
+			a.frictionMultiplier === b.frictionMultiplier &&
+			a.curlMultiplier === b.curlMultiplier);
+
+	const recordSweep = (sweepState) => {
+		if (!recordingShot || playback) {
+			return;
+		}
+		const sweep = sweepState ? { ...sweepState } : null;
+		if (isSameSweep(recordingShot.lastSweep, sweep)) {
+			return;
+		}
+		recordingShot.lastSweep = sweep;
+		recordingShot.events.push({
+			step: getEngineStep() - recordingShot.launchStep,
+			type: 'sweep',
+			sweep
+		});
+	};
+
+	const recordRotation = (stone, rotationRate) => {
+		if (!recordingShot || playback) {
+			return;
+		}
+		recordingShot.events.push({
+			step: getEngineStep() - recordingShot.launchStep,
+			type: 'rotation',
+			color: stone.color,
+			number: stone.number,
+			rotationRate
+		});
+	};
+
+	const recordHogLineViolation = (stone) => {
+		if (!recordingShot || playback) {
+			return;
+		}
+		recordingShot.events.push({
+			step: getEngineStep() - recordingShot.launchStep,
+			type: 'hogLineViolation',
+			color: stone.color,
+			number: stone.number
+		});
+	};
+
+	const clearRecordings = () => {
+		shotsByEnd.clear();
+		recordingShot = null;
+	};
+
+	const getShotsForEnd = (endIndex) => shotsByEnd.get(endIndex) ?? [];
+
+	const hasShotsForEnd = (endIndex) => getShotsForEnd(endIndex).length > 0;
+
+	const stepReplay = () => {
+		const shot = playback.shots[playback.shotIndex];
+		while (
+			playback.eventIndex < shot.events.length &&
+			shot.events[playback.eventIndex].step <= playback.step
+		) {
+			applyShotEvent(replayEngine, shot.events[playback.eventIndex]);
+			playback.eventIndex += 1;
+		}
+		replayEngine.step(replayEngine.fixedTimeStep);
+		playback.step += 1;
+	};
+
+	const resetShot = (index) => {
+		const shot = playback.shots[index];
+		replayEngine.restoreState(shot.startState);
+		replayEngine.clearSweepState();
+		const thrownStone = replayEngine.throwStone({
+			color: shot.color,
+			number: shot.number,
+			velocity: { ...shot.velocity },
+			rotationRadiansPerSecond: shot.rotationRate,
+			offsetX: shot.offsetX
+		});
+		replayEngine.resetClock();
+		playback.shotIndex = index;
+		playback.step = 0;
+		playback.eventIndex = 0;
+		playback.pendingSeconds = 0;
+		playback.pauseUntil = null;
+		return thrownStone;
+	};
+
+	const measureShot = (index) => {
+		const shot = playback.shots[index];
+		if (shot.totalSteps != null) {
+			return shot.totalSteps;
+		}
+		resetShot(index);
+		const maxSteps = Math.ceil(REPLAY_MAX_SHOT_SECONDS / replayEngine.fixedTimeStep);
+		while (replayEngine.isRunning() && playback.step < maxSteps) {
+			stepReplay();
+		}
+		shot.totalSteps = playback.step;
+		return shot.totalSteps;
+	};
+
+	const notifyProgress = () => {
+		if (!playback) {
+			return;
+		}
+		const shot = playback.shots[playback.shotIndex];
+		config.onProgress?.({
+			shotIndex: playback.shotIndex,
+			shotCount: playback.shots.length,
+			color: shot.color,
+			progress: shot.totalSteps > 0 ? playback.step / shot.totalSteps : 1,
+			playing: playback.playing
+		});
+	};
+
+	const loadShot = (index) => {
+		if (!playback || index < 0 || index >= playback.shots.length) {
+			return;
+		}
+		measureShot(index);
+		const thrownStone = resetShot(index);
+		config.followStone(thrownStone);
+		notifyProgress();
+	};
+
+	const seekToStep = (targetStep) => {
+		const shot = playback.shots[playback.shotIndex];
+		const clamped = Math.max(0, Math.min(shot.totalSteps, Math.round(targetStep)));
+		if (clamped < playback.step) {
+			resetShot(playback.shotIndex);
+		}
+		while (playback.step < clamped) {
+			stepReplay();
+		}
+		playback.pauseUntil = null;
+		config.followStone(replayEngine.findStone(shot.color, shot.number));
+		notifyProgress();
+	};
+
+	const startReplay = (endIndex) => {
+		const shots = getShotsForEnd(endIndex);
+		if (shots.length === 0) {
+			return false;
+		}
+		replayEngine = config.createPhysicsEngine();
+		playback = {
+			shots,
+			shotIndex: 0,
+			step: 0,
+			eventIndex: 0,
+			pendingSeconds: 0,
+			pauseUntil: null,
+			lastTimestamp: null,
+			playing: true
+		};
+		loadShot(0);
+		return true;
+	};
+
+	const stopReplay = () => {
+		playback = null;
+		replayEngine = null;
+		config.clearFollowStone();
+	};
+
+	const togglePause = () => {
+		if (!playback) {
+			return;
+		}
+		const shot = playback.shots[playback.shotIndex];
+		if (!playback.playing && playback.step >= shot.totalSteps) {
+			resetShot(playback.shotIndex);
+			config.followStone(replayEngine.findStone(shot.color, shot.number));
+		}
+		playback.playing = !playback.playing;
+		notifyProgress();
+	};
+
+	const next = () => {
+		if (playback) {
+			loadShot(Math.min(playback.shotIndex + 1, playback.shots.length - 1));
+		}
+	};
+
+	const previous = () => {
+		if (playback) {
+			loadShot(Math.max(playback.shotIndex - 1, 0));
+		}
+	};
+
+	const seek = (fraction) => {
+		if (!playback) {
+			return;
+		}
+		const shot = playback.shots[playback.shotIndex];
+		seekToStep(fraction * shot.totalSteps);
+	};
+
+	const update = (timestamp) => {
+		if (!playback) {
+			return;
+		}
+		const previousTimestamp = playback.lastTimestamp ?? timestamp;
+		playback.lastTimestamp = timestamp;
+		if (!playback.playing) {
+			return;
+		}
+		if (playback.pauseUntil != null) {
+			if (timestamp < playback.pauseUntil) {
+				return;
+			}
+			playback.pauseUntil = null;
+			if (playback.shotIndex < playback.shots.length - 1) {
+				loadShot(playback.shotIndex + 1);
+			} else {
+				playback.playing = false;
+				notifyProgress();
+			}
+			return;
+		}
+		const shot = playback.shots[playback.shotIndex];
+		playback.pendingSeconds += Math.min((timestamp - previousTimestamp) / 1000, REPLAY_MAX_FRAME_SECONDS);
+		while (playback.pendingSeconds >= replayEngine.fixedTimeStep && playback.step < shot.totalSteps) {
+			stepReplay();
+			playback.pendingSeconds -= replayEngine.fixedTimeStep;
+		}
+		if (playback.step >= shot.totalSteps) {
+			playback.pauseUntil = timestamp + REPLAY_SHOT_PAUSE_MS;
+		}
+		notifyProgress();
+	};
+
+	return {
+		recordLaunch,
+		recordSweep,
+		recordRotation,
+		recordHogLineViolation,
+		clearRecordings,
+		hasShotsForEnd,
+		startReplay,
+		stopReplay,
+		togglePause,
+		next,
+		previous,
+		seek,
+		update,
+		isReplaying: () => !!playback,
+		getEngine: () => replayEngine
+	};
+}
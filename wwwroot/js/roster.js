@@ -0,0 +1,124 @@
+const formatPercentage = (made, throws) => (throws > 0 ? `${Math.round((made / throws) * 100)}%` : '–');
+
+const formatAverageSplit = (totalMs, count) => (count > 0 ? `${(totalMs / count / 1000).toFixed(2)} s` : '–');
+
+export function createRosterController(config) {
+	let stats = {};
+	let pendingThrow = null;
+
+	const getTeam = (color) => config.scoreboardState.teams.find((team) => team.stoneColor === color) ?? null;
+
+	const buildRoster = (color, teamName) => {
+		const names = config.getRosterNames()?.[color] ?? [];
+		return config.rosterPositions.map((position, index) => ({
+			position: position.key,
+			label: position.label,
+			name: names[index]?.trim() || `${teamName} ${position.label}`
+		}));
+	};
+
+	const applyRosters = () => {
+		config.scoreboardState.teams.forEach((team) => {
+			team.roster = config.isRosterMode() ? buildRoster(team.stoneColor, team.name) : [];
+		});
+	};
+
+	const getThrower = (color, throwIndex) => {
+		const roster = getTeam(color)?.roster ?? [];
+		if (!roster.length) {
+			return null;
+		}
+		const teamThrowIndex = Math.floor(throwIndex / 2);
+		const playerIndex = Math.min(
+			roster.length - 1,
+			Math.floor((teamThrowIndex * roster.length) / config.getStonesPerTeam())
+		);
+		return roster[playerIndex];
+	};
+
+	const getStatsKey = (color, player) => `${color}:${player.position}`;
+
+	const countOpponentStonesInPlay = (color) =>
+		config.physicsEngine
+			.getStones()
+			.filter((stone) => stone.color !== color && stone.isLaunched && !stone.isOut).length;
+
+	const startThrow = (stone, throwIndex) => {
+		const player = getThrower(stone.color, throwIndex);
+		if (!player) {
+			pendingThrow = null;
+			return;
+		}
+		pendingThrow = {
+			color: stone.color,
+			number: stone.number,
+			player,
+			opponentStonesInPlay: countOpponentStonesInPlay(stone.color)
+		};
+	};
+
+	const isShotMade = (stone, opponentStonesInPlay) =>
+		(stone.isLaunched && !stone.isOut) || countOpponentStonesInPlay(stone.color) < opponentStonesInPlay;
+
+	const finishThrow = () => {
+		if (!pendingThrow) {
+			return;
+		}
+		const { color, number, player, opponentStonesInPlay } = pendingThrow;
+		pendingThrow = null;
+		const stone = config.physicsEngine.findStone(color, number);
+		if (!stone) {
+			return;
+		}
+		const key = getStatsKey(color, player);
+		const entry = stats[key] ?? { throws: 0, made: 0, splitTotalMs: 0, splitCount: 0 };
+		entry.throws += 1;
+		if (isShotMade(stone, opponentStonesInPlay)) {
+			entry.made += 1;
+		}
+		const { nearCrossedAt, farCrossedAt } = stone.hogTiming ?? {};
+		if (nearCrossedAt != null && farCrossedAt != null) {
+			entry.splitTotalMs += farCrossedAt - nearCrossedAt;
+			entry.splitCount += 1;
+		}
+		stats[key] = entry;
+	};
+
+	const getPlayerRows = () =>
+		config.scoreboardState.teams.flatMap((team) =>
+			(team.roster ?? []).map((player) => {
+				const entry = stats[getStatsKey(team.stoneColor, player)];
+				return {
+					label: `${player.label} ${player.name}`,
+					value: entry
+						? `${formatPercentage(entry.made, entry.throws)} shot · ${formatAverageSplit(entry.splitTotalMs, entry.splitCount)}`
+						: '–',
+					color: team.stoneColor
+				};
+			})
+		);
+
+	const reset = () => {
+		stats = {};
+		pendingThrow = null;
+		applyRosters();
+	};
+
+	const getState = () => JSON.parse(JSON.stringify(stats));
+
+	const restoreState = (savedStats) => {
+		stats = savedStats && typeof savedStats === 'object' ? JSON.parse(JSON.stringify(savedStats)) : {};
+		pendingThrow = null;
+	};
+
+	return {
+		applyRosters,
+		getThrower,
+		startThrow,
+		finishThrow,
+		getPlayerRows,
+		reset,
+		getState,
+		restoreState
+	};
+}
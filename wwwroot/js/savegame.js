@@ -0,0 +1,137 @@
+const SAVE_GAME_VERSION = 1;
+const SAVE_GAME_STORAGE_KEY = 'curling-game-save';
+
+export function createSaveGameController(config) {
+	const getStorage = () => {
+		try {
+			return window.localStorage ?? null;
+		} catch (error) {
+			return null;
+		}
+	};
+
+	const canSaveMode = (mode) => config.savableModes.includes(mode);
+
+	const serializeGame = () => ({
+		version: SAVE_GAME_VERSION,
+		savedAt: Date.now(),
+		mode: config.getCurrentMode(),
+		settings: config.getGameSettings(),
+		scoreboard: {
+			activeTeamColor: config.scoreboardState.activeTeamColor,
+			teams: config.scoreboardState.teams.map((team) => ({
+				stoneColor: team.stoneColor,
+				name: team.name,
+				scores: [...team.scores],
+				total: team.total
+			}))
+		},
+		thinkTimeRemaining: { ...config.teamThinkTimeRemaining },
+		currentEndIndex: config.getCurrentEndIndex(),
+		currentThrowIndex: config.getCurrentThrowIndex(),
+		startingTeamColor: config.getStartingTeamColor(),
+		hammerColor: config.getHammerColor(),
+		isEndInProgress: config.getIsEndInProgress(),
+		endResultCommitted: config.getEndResultCommitted(),
+		pendingRoundAction: config.getPendingRoundAction(),
+		mixedDoubles: config.getMixedDoublesState(),
+		gameRecord: config.getGameRecord(),
+		telemetryHistory: config.getTelemetryHistory(),
+		rosterStats: config.getRosterStats(),
+		physics: config.physicsEngine.captureState()
+	});
+
+	const isValidSave = (data) =>
+		!!data &&
+		data.version === SAVE_GAME_VERSION &&
+		canSaveMode(data.mode) &&
+		Array.isArray(data.scoreboard?.teams) &&
+		Array.isArray(data.physics?.stones);
+
+	const clear = () => {
+		try {
+			getStorage()?.removeItem(SAVE_GAME_STORAGE_KEY);
+		} catch (error) {
+			console.warn('Failed to clear saved game:', error);
+		}
+	};
+
+	const save = () => {
+		if (!canSaveMode(config.getCurrentMode())) {
+			return;
+		}
+		if (config.getIsGameOver()) {
+			clear();
+			return;
+		}
+		try {
+			getStorage()?.setItem(SAVE_GAME_STORAGE_KEY, JSON.stringify(serializeGame()));
+		} catch (error) {
+			console.warn('Failed to save game:', error);
+		}
+	};
+
+	const load = () => {
+		try {
+			const raw = getStorage()?.getItem(SAVE_GAME_STORAGE_KEY);
+			if (!raw) {
+				return null;
+			}
+			const data = JSON.parse(raw);
+			return isValidSave(data) ? data : null;
+		} catch (error) {
+			console.warn('Failed to read saved game:', error);
+			return null;
+		}
+	};
+
+	const hasSave = () => load() !== null;
+
+	const restore = () => {
+		const data = load();
+		if (!data) {
+			return false;
+		}
+		config.setCurrentMode(data.mode);
+		config.setGameSettings(data.settings);
+		config.configureTeamStones(data.settings.stonesPerTeam);
+		config.applySheetSettings();
+		data.scoreboard.teams.forEach((savedTeam) => {
+			const team = config.scoreboardState.teams.find(
+				(entry) => entry.stoneColor === savedTeam.stoneColor
+			);
+			if (!team) {
+				return;
+			}
+			team.name = savedTeam.name;
+			team.scores = [...savedTeam.scores];
+			team.total = savedTeam.total;
+		});
+		Object.entries(data.thinkTimeRemaining ?? {}).forEach(([color, seconds]) => {
+			config.teamThinkTimeRemaining[color] = seconds;
+		});
+		config.setCurrentEndIndex(data.currentEndIndex);
+		config.setCurrentThrowIndex(data.currentThrowIndex);
+		config.setStartingTeamColor(data.startingTeamColor);
+		config.setHammerColor(data.hammerColor);
+		config.setIsGameOver(false);
+		config.setIsEndInProgress(data.isEndInProgress);
+		config.setEndResultCommitted(data.endResultCommitted);
+		config.setPendingRoundAction(data.pendingRoundAction);
+		config.restoreMixedDoublesState(data.mixedDoubles);
+		config.restoreGameRecord(data.gameRecord);
+		config.restoreTelemetryHistory(data.telemetryHistory);
+		config.restoreRosterStats(data.rosterStats);
+		config.physicsEngine.restoreState(data.physics);
+		config.setActiveTeamColor(data.scoreboard.activeTeamColor);
+		return true;
+	};
+
+	return {
+		save,
+		load,
+		hasSave,
+		restore,
+		clear
+	};
+}
@@ -0,0 +1,128 @@
+const TWO_PI = Math.PI * 2;
+
+const formatSplit = (durationMs) => (durationMs == null ? '–' : `${(durationMs / 1000).toFixed(2)} s`);
+
+const formatSpeed = (speed) => `${speed.toFixed(2)} m/s`;
+
+export function createTelemetryController(config) {
+	let currentShot = null;
+	let history = [];
+
+	const findShotStone = () =>
+		currentShot ? config.physicsEngine.findStone(currentShot.color, currentShot.number) : null;
+
+	const startShot = (stone, launch) => {
+		currentShot = {
+			color: stone.color,
+			number: stone.number,
+			endNumber: config.getCurrentEndIndex() + 1,
+			throwNumber: config.getCurrentThrowIndex() + 1,
+			releaseSpeed: Math.hypot(launch.velocity.vx, launch.velocity.vy),
+			backToHogMs: null,
+			hogToHogMs: null,
+			rotations: 0,
+			lastAngle: null,
+			isFinished: false
+		};
+	};
+
+	const recordBackToHog = (durationMs) => {
+		if (currentShot && !currentShot.isFinished) {
+			currentShot.backToHogMs = durationMs;
+		}
+	};
+
+	const recordHogToHog = (durationMs) => {
+		if (currentShot && !currentShot.isFinished) {
+			currentShot.hogToHogMs = durationMs;
+		}
+	};
+
+	const update = () => {
+		const stone = findShotStone();
+		if (!stone || currentShot.isFinished || !stone.isLaunched || stone.isOut) {
+			return;
+		}
+		const angle = stone.angle ?? 0;
+		if (currentShot.lastAngle != null) {
+			let delta = angle - currentShot.lastAngle;
+			if (delta > Math.PI) {
+				delta -= TWO_PI;
+			} else if (delta < -Math.PI) {
+				delta += TWO_PI;
+			}
+			currentShot.rotations += Math.abs(delta) / TWO_PI;
+		}
+		currentShot.lastAngle = angle;
+	};
+
+	const finishShot = () => {
+		if (!currentShot || currentShot.isFinished) {
+			return;
+		}
+		currentShot.isFinished = true;
+		history.push({
+			endNumber: currentShot.endNumber,
+			throwNumber: currentShot.throwNumber,
+			color: currentShot.color,
+			releaseSpeed: currentShot.releaseSpeed,
+			backToHogMs: currentShot.backToHogMs,
+			hogToHogMs: currentShot.hogToHogMs,
+			rotations: currentShot.rotations
+		});
+	};
+
+	const reset = () => {
+		currentShot = null;
+		history = [];
+	};
+
+	const getCurrentSpeed = () => {
+		const stone = findShotStone();
+		if (!stone || !stone.isLaunched || stone.isOut) {
+			return 0;
+		}
+		return Math.hypot(stone.velocity.vx, stone.velocity.vy);
+	};
+
+	const getReadouts = () => {
+		if (!currentShot) {
+			return [];
+		}
+		return [
+			{ label: 'Back–hog', value: formatSplit(currentShot.backToHogMs) },
+			{ label: 'Hog–hog', value: formatSplit(currentShot.hogToHogMs) },
+			{ label: 'Release', value: formatSpeed(currentShot.releaseSpeed) },
+			{ label: 'Speed', value: formatSpeed(getCurrentSpeed()) },
+			{ label: 'Rotations', value: currentShot.rotations.toFixed(1) }
+		];
+	};
+
+	const getHistoryRows = () =>
+		history.map((entry) => ({
+			label: `E${entry.endNumber} #${entry.throwNumber} ${config.getTeamName(entry.color)}`,
+			value: `${formatSplit(entry.backToHogMs)} · ${formatSplit(entry.hogToHogMs)}`,
+			color: entry.color
+		}));
+
+	const getHistory = () => history.map((entry) => ({ ...entry }));
+
+	const restoreHistory = (savedHistory) => {
+		currentShot = null;
+		history = Array.isArray(savedHistory) ? savedHistory.map((entry) => ({ ...entry })) : [];
+	};
+
+	return {
+		startShot,
+		recordBackToHog,
+		recordHogToHog,
+		update,
+		finishShot,
+		reset,
+		getReadouts,
+		getHistoryRows,
+		getHistory,
+		restoreHistory,
+		hasData: () => !!currentShot || history.length > 0
+	};
+}
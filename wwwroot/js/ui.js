@@ -7,8 +7,10 @@ export function createUIController({ canvas, getDisplayScale, measurements, scor
 	let winnerAnnouncementElement = null;
 	let endScoreAnnouncementElement = null;
 	let menuElement = null;
+	const menuItemElements = new Map();
 	let multiplayerInviteElement = null;
 	let multiplayerInviteLinkElement = null;
+	let multiplayerSpectatorLinkElement = null;
 	let multiplayerInviteStatusElement = null;
 	let multiplayerInviteCopyButton = null;
 	let multiplayerInviteCloseButton = null;
@@ -17,6 +19,29 @@ export function createUIController({ canvas, getDisplayScale, measurements, scor
 	let multiplayerInviteCreateHandler = null;
 	let centerNoteElement = null;
 	let centerNoteTimeout = null;
+	let choicePromptElement = null;
+	let choicePromptMessageElement = null;
+	let choicePromptOptionsElement = null;
+	let gameSetupElement = null;
+	let replayOpenElement = null;
+	let replayControlsElement = null;
+	let replayLabelElement = null;
+	let replaySeekElement = null;
+	let replayPlayButton = null;
+	let practiceToolsElement = null;
+	let measureButtonElement = null;
+	let practiceGhostButton = null;
+	let practiceBoardsButton = null;
+	const practiceRotationButtons = new Map();
+	let telemetryElement = null;
+	let telemetryReadoutsElement = null;
+	const telemetryPanelButtons = new Map();
+	let telemetryHistoryElement = null;
+	let telemetryRenderKey = null;
+	let throwerLabelElement = null;
+	let connectionOverlayElement = null;
+	let connectionOverlayTitleElement = null;
+	let connectionOverlayMessageElement = null;
 
 	const createScoreboardElement = () => {
 		const container = document.createElement('div');
@@ -27,7 +52,7 @@ export function createUIController({ canvas, getDisplayScale, measurements, scor
 		return container;
 	};
 
-	const renderScoreboard = ({ scheduledEnds, currentEndIndex, isGameOver }) => {
+	const renderScoreboard = ({ scheduledEnds, currentEndIndex, isGameOver, hammerColor }) => {
 		if (!scoreboardElement) {
 			return;
 		}
@@ -66,6 +91,13 @@ export function createUIController({ canvas, getDisplayScale, measurements, scor
 			const isActive = scoreboardState.activeTeamColor === team.stoneColor;
 			nameCell.textContent = `${team.name}${isActive ? ' *' : ''}`;
 			nameCell.style.color = team.displayColor;
+			if (hammerColor === team.stoneColor) {
+				const hammerBadge = document.createElement('span');
+				hammerBadge.className = 'hammer-indicator';
+				hammerBadge.textContent = 'H';
+				hammerBadge.title = 'Hammer (last stone)';
+				nameCell.appendChild(hammerBadge);
+			}
 			row.appendChild(nameCell);
 
 			team.scores.forEach((score) => {
@@ -262,6 +294,199 @@ export function createUIController({ canvas, getDisplayScale, measurements, scor
 		practiceBackElement.classList.toggle('is-visible', visible);
 	};
 
+	const createToolButton = (label, ariaLabel, onClick) => {
+		const button = document.createElement('button');
+		button.type = 'button';
+		button.textContent = label;
+		button.setAttribute('aria-label', ariaLabel);
+		button.addEventListener('click', (event) => {
+			event.preventDefault();
+			event.stopPropagation();
+			onClick?.();
+		});
+		return button;
+	};
+
+	const mountPracticeTools = ({ onToggleGhost, onSelectRotation, onToggleBoards }) => {
+		practiceToolsElement = document.createElement('div');
+		practiceToolsElement.className = 'practice-tools';
+		practiceGhostButton = createToolButton('Ghost path', 'Show predicted path', onToggleGhost);
+		practiceToolsElement.appendChild(practiceGhostButton);
+		[
+			{ direction: -1, label: '↺', ariaLabel: 'Curl left' },
+			{ direction: 0, label: '0', ariaLabel: 'No rotation' },
+			{ direction: 1, label: '↻', ariaLabel: 'Curl right' }
+		].forEach(({ direction, label, ariaLabel }) => {
+			const button = createToolButton(label, ariaLabel, () => onSelectRotation?.(direction));
+			practiceRotationButtons.set(direction, button);
+			practiceToolsElement.appendChild(button);
+		});
+		practiceBoardsButton = createToolButton('Boards', 'Bounce stones off the boards', onToggleBoards);
+		practiceToolsElement.appendChild(practiceBoardsButton);
+		const attach = () => {
+			if (!document.body.contains(practiceToolsElement)) {
+				document.body.appendChild(practiceToolsElement);
+			}
+		};
+		if (document.body) {
+			attach();
+		} else {
+			window.addEventListener('DOMContentLoaded', attach, { once: true });
+		}
+	};
+
+	const setPracticeToolsVisible = (visible) => {
+		if (!practiceToolsElement) {
+			return;
+		}
+		practiceToolsElement.classList.toggle('is-visible', visible);
+	};
+
+	const setPracticeToolsState = ({ ghostEnabled, boardsEnabled, rotationDirection }) => {
+		if (!practiceToolsElement) {
+			return;
+		}
+		practiceGhostButton.classList.toggle('is-active', ghostEnabled);
+		practiceGhostButton.setAttribute('aria-pressed', String(ghostEnabled));
+		practiceBoardsButton.classList.toggle('is-active', boardsEnabled);
+		practiceBoardsButton.setAttribute('aria-pressed', String(boardsEnabled));
+		practiceRotationButtons.forEach((button, direction) => {
+			button.classList.toggle('is-active', direction === rotationDirection);
+		});
+	};
+
+	const mountMeasureButton = ({ onClick }) => {
+		measureButtonElement = createToolButton('Measure', 'Measure stones to the pin', onClick);
+		measureButtonElement.className = 'measure-toggle';
+		const attach = () => {
+			if (!document.body.contains(measureButtonElement)) {
+				document.body.appendChild(measureButtonElement);
+			}
+		};
+		if (document.body) {
+			attach();
+		} else {
+			window.addEventListener('DOMContentLoaded', attach, { once: true });
+		}
+	};
+
+	const setMeasureButtonState = ({ visible, active }) => {
+		if (!measureButtonElement) {
+			return;
+		}
+		measureButtonElement.classList.toggle('is-visible', visible);
+		measureButtonElement.classList.toggle('is-active', active);
+		measureButtonElement.setAttribute('aria-pressed', String(active));
+	};
+
+	const mountTelemetryHud = ({ onSelectPanel }) => {
+		telemetryElement = document.createElement('div');
+		telemetryElement.className = 'telemetry-hud';
+		telemetryReadoutsElement = document.createElement('dl');
+		telemetryReadoutsElement.className = 'telemetry-readouts';
+		const panelButtons = document.createElement('div');
+		panelButtons.className = 'telemetry-panels';
+		[
+			{ panel: 'splits', label: 'Splits', ariaLabel: 'Show split time history' },
+			{ panel: 'players', label: 'Players', ariaLabel: 'Show player statistics' }
+		].forEach(({ panel, label, ariaLabel }) => {
+			const button = createToolButton(label, ariaLabel, () => onSelectPanel?.(panel));
+			telemetryPanelButtons.set(panel, button);
+			panelButtons.appendChild(button);
+		});
+		telemetryHistoryElement = document.createElement('ol');
+		telemetryHistoryElement.className = 'telemetry-history';
+		telemetryElement.append(telemetryReadoutsElement, panelButtons, telemetryHistoryElement);
+		const attach = () => {
+			if (!document.body.contains(telemetryElement)) {
+				document.body.appendChild(telemetryElement);
+			}
+		};
+		if (document.body) {
+			attach();
+		} else {
+			window.addEventListener('DOMContentLoaded', attach, { once: true });
+		}
+	};
+
+	const setTelemetryHudState = ({ visible, readouts, panels, panel, panelRows }) => {
+		if (!telemetryElement) {
+			return;
+		}
+		telemetryElement.classList.toggle('is-visible', visible);
+		const renderKey = visible ? JSON.stringify([readouts, panels, panel, panelRows]) : null;
+		if (!visible || renderKey === telemetryRenderKey) {
+			return;
+		}
+		telemetryRenderKey = renderKey;
+		telemetryReadoutsElement.replaceChildren(
+			...readouts.flatMap(({ label, value }) => {
+				const term = document.createElement('dt');
+				term.textContent = label;
+				const detail = document.createElement('dd');
+				detail.textContent = value;
+				return [term, detail];
+			})
+		);
+		telemetryPanelButtons.forEach((button, key) => {
+			button.hidden = !panels.includes(key);
+			button.classList.toggle('is-active', key === panel);
+			button.setAttribute('aria-pressed', String(key === panel));
+		});
+		telemetryHistoryElement.classList.toggle('is-open', !!panel);
+		if (!panel) {
+			return;
+		}
+		telemetryHistoryElement.replaceChildren(
+			...(panelRows.length ? panelRows : [{ label: 'No deliveries yet', value: '' }]).map(
+				({ label, value, color }) => {
+					const item = document.createElement('li');
+					if (color) {
+						item.classList.add(`is-${color}`);
+					}
+					const labelElement = document.createElement('span');
+					labelElement.textContent = label;
+					const valueElement = document.createElement('span');
+					valueElement.textContent = value;
+					item.append(labelElement, valueElement);
+					return item;
+				}
+			)
+		);
+	};
+
+	const mountThrowerLabel = () => {
+		throwerLabelElement = document.createElement('div');
+		throwerLabelElement.className = 'thrower-label';
+		throwerLabelElement.setAttribute('role', 'status');
+		throwerLabelElement.setAttribute('aria-live', 'polite');
+		const attach = () => {
+			if (!document.body.contains(throwerLabelElement)) {
+				document.body.appendChild(throwerLabelElement);
+			}
+		};
+		if (document.body) {
+			attach();
+		} else {
+			window.addEventListener('DOMContentLoaded', attach, { once: true });
+		}
+	};
+
+	const setThrowerLabel = (thrower) => {
+		if (!throwerLabelElement) {
+			return;
+		}
+		throwerLabelElement.classList.toggle('is-visible', !!thrower);
+		if (!thrower) {
+			return;
+		}
+		if (throwerLabelElement.textContent !== thrower.text) {
+			throwerLabelElement.textContent = thrower.text;
+		}
+		throwerLabelElement.classList.toggle('is-red', thrower.color === 'red');
+		throwerLabelElement.classList.toggle('is-yellow', thrower.color === 'yellow');
+	};
+
 	const createWinnerAnnouncementElement = () => {
 		const el = document.createElement('div');
 		el.className = 'winner-announcement';
@@ -356,7 +581,11 @@ export function createUIController({ canvas, getDisplayScale, measurements, scor
 		menuElement = document.createElement('div');
 		menuElement.className = 'game-menu';
 		items.forEach((item) => {
-			menuElement.appendChild(createMenuButton(item.label, item.onClick));
+			const button = createMenuButton(item.label, item.onClick);
+			if (item.id) {
+				menuItemElements.set(item.id, button);
+			}
+			menuElement.appendChild(button);
 		});
 		const attach = () => {
 			if (!document.body.contains(menuElement)) {
@@ -377,6 +606,14 @@ export function createUIController({ canvas, getDisplayScale, measurements, scor
 		menuElement.classList.toggle('visible', visible);
 	};
 
+	const setMenuItemVisible = (id, visible) => {
+		const button = menuItemElements.get(id);
+		if (!button) {
+			return;
+		}
+		button.hidden = !visible;
+	};
+
 	const createMultiplayerInviteElement = ({ onCopy, onClose }) => {
 		const overlay = document.createElement('div');
 		overlay.className = 'multiplayer-invite';
@@ -444,6 +681,35 @@ export function createUIController({ canvas, getDisplayScale, measurements, scor
 		linkRow.appendChild(multiplayerInviteLinkElement);
 		linkRow.appendChild(multiplayerInviteCopyButton);
 
+		const spectatorRow = document.createElement('div');
+		spectatorRow.className = 'multiplayer-invite-spectator';
+		const spectatorLabel = document.createElement('p');
+		spectatorLabel.textContent = 'Others can watch with this link:';
+		const spectatorLinkRow = document.createElement('div');
+		spectatorLinkRow.className = 'multiplayer-invite-link';
+
+		multiplayerSpectatorLinkElement = document.createElement('input');
+		multiplayerSpectatorLinkElement.type = 'text';
+		multiplayerSpectatorLinkElement.readOnly = true;
+		multiplayerSpectatorLinkElement.value = '';
+		multiplayerSpectatorLinkElement.setAttribute('aria-label', 'Spectator link');
+
+		const spectatorCopyButton = document.createElement('button');
+		spectatorCopyButton.type = 'button';
+		spectatorCopyButton.textContent = 'Copy link';
+		spectatorCopyButton.addEventListener('click', (event) => {
+			event.preventDefault();
+			event.stopPropagation();
+			if (onCopy) {
+				onCopy(multiplayerSpectatorLinkElement?.value ?? '');
+			}
+		});
+
+		spectatorLinkRow.appendChild(multiplayerSpectatorLinkElement);
+		spectatorLinkRow.appendChild(spectatorCopyButton);
+		spectatorRow.appendChild(spectatorLabel);
+		spectatorRow.appendChild(spectatorLinkRow);
+
 		multiplayerInviteCreateButton = document.createElement('button');
 		multiplayerInviteCreateButton.type = 'button';
 		multiplayerInviteCreateButton.className = 'multiplayer-invite-create';
@@ -473,6 +739,7 @@ export function createUIController({ canvas, getDisplayScale, measurements, scor
 		card.appendChild(colorRow);
 		card.appendChild(multiplayerInviteCreateButton);
 		card.appendChild(linkRow);
+		card.appendChild(spectatorRow);
 		card.appendChild(multiplayerInviteCloseButton);
 		overlay.appendChild(card);
 
@@ -508,6 +775,14 @@ export function createUIController({ canvas, getDisplayScale, measurements, scor
 		multiplayerInviteLinkElement.value = link ?? '';
 	};
 
+	const setMultiplayerSpectatorLink = (link) => {
+		if (!multiplayerSpectatorLinkElement) {
+			return;
+		}
+		multiplayerSpectatorLinkElement.value = link ?? '';
+		multiplayerSpectatorLinkElement.closest('.multiplayer-invite-spectator')?.classList.toggle('visible', !!link);
+	};
+
 	const setMultiplayerInviteStatus = (message) => {
 		if (!multiplayerInviteStatusElement) {
 			return;
@@ -540,6 +815,45 @@ export function createUIController({ canvas, getDisplayScale, measurements, scor
 		multiplayerInviteElement.classList.toggle('is-guest', role === 'guest');
 	};
 
+	const mountConnectionOverlay = () => {
+		connectionOverlayElement = document.createElement('div');
+		connectionOverlayElement.className = 'connection-overlay';
+		connectionOverlayElement.setAttribute('role', 'alertdialog');
+		connectionOverlayElement.setAttribute('aria-live', 'assertive');
+		const card = document.createElement('div');
+		card.className = 'connection-overlay-card';
+		connectionOverlayTitleElement = document.createElement('h2');
+		connectionOverlayMessageElement = document.createElement('p');
+		card.append(connectionOverlayTitleElement, connectionOverlayMessageElement);
+		connectionOverlayElement.appendChild(card);
+		const attach = () => {
+			if (!document.body.contains(connectionOverlayElement)) {
+				document.body.appendChild(connectionOverlayElement);
+			}
+		};
+		if (document.body) {
+			attach();
+		} else {
+			window.addEventListener('DOMContentLoaded', attach, { once: true });
+		}
+	};
+
+	const setConnectionOverlayState = ({ visible, title = '', message = '' }) => {
+		if (!connectionOverlayElement) {
+			return;
+		}
+		connectionOverlayElement.classList.toggle('visible', visible);
+		if (!visible) {
+			return;
+		}
+		if (connectionOverlayTitleElement.textContent !== title) {
+			connectionOverlayTitleElement.textContent = title;
+		}
+		if (connectionOverlayMessageElement.textContent !== message) {
+			connectionOverlayMessageElement.textContent = message;
+		}
+	};
+
 	const createCenterNoteElement = () => {
 		const el = document.createElement('div');
 		el.className = 'center-note';
@@ -577,6 +891,305 @@ export function createUIController({ canvas, getDisplayScale, measurements, scor
 		}, durationMs);
 	};
 
+	const createChoicePromptElement = () => {
+		const el = document.createElement('div');
+		el.className = 'game-menu choice-prompt';
+		el.setAttribute('role', 'dialog');
+		choicePromptMessageElement = document.createElement('p');
+		choicePromptMessageElement.className = 'choice-prompt-message';
+		choicePromptOptionsElement = document.createElement('div');
+		choicePromptOptionsElement.className = 'choice-prompt-options';
+		el.appendChild(choicePromptMessageElement);
+		el.appendChild(choicePromptOptionsElement);
+		return el;
+	};
+
+	const mountChoicePrompt = () => {
+		choicePromptElement = createChoicePromptElement();
+		const attach = () => {
+			if (!document.body.contains(choicePromptElement)) {
+				document.body.appendChild(choicePromptElement);
+			}
+		};
+		if (document.body) {
+			attach();
+		} else {
+			window.addEventListener('DOMContentLoaded', attach, { once: true });
+		}
+	};
+
+	const hideChoicePrompt = () => {
+		if (!choicePromptElement) {
+			return;
+		}
+		choicePromptElement.classList.remove('visible');
+		choicePromptOptionsElement.replaceChildren();
+	};
+
+	const showChoicePrompt = ({ message, options }) => {
+		if (!choicePromptElement) {
+			return;
+		}
+		choicePromptMessageElement.textContent = message;
+		choicePromptOptionsElement.replaceChildren(
+			...options.map((option) =>
+				createMenuButton(option.label, () => {
+					hideChoicePrompt();
+					option.onSelect?.();
+				})
+			)
+		);
+		choicePromptElement.classList.add('visible');
+	};
+
+	const createSetupField = (labelText, control) => {
+		const label = document.createElement('label');
+		label.className = 'game-setup-field';
+		const text = document.createElement('span');
+		text.textContent = labelText;
+		label.appendChild(text);
+		label.appendChild(control);
+		return label;
+	};
+
+	const createSetupSelect = (options, selectedValue) => {
+		const select = document.createElement('select');
+		options.forEach((option) => {
+			const optionElement = document.createElement('option');
+			optionElement.value = String(option.value);
+			optionElement.textContent = option.label;
+			optionElement.selected = option.value === selectedValue;
+			select.appendChild(optionElement);
+		});
+		return select;
+	};
+
+	const mountGameSetup = () => {
+		gameSetupElement = document.createElement('div');
+		gameSetupElement.className = 'game-menu game-setup';
+		gameSetupElement.setAttribute('role', 'dialog');
+		const attach = () => {
+			if (!document.body.contains(gameSetupElement)) {
+				document.body.appendChild(gameSetupElement);
+			}
+		};
+		if (document.body) {
+			attach();
+		} else {
+			window.addEventListener('DOMContentLoaded', attach, { once: true });
+		}
+	};
+
+	const hideGameSetup = () => {
+		if (!gameSetupElement) {
+			return;
+		}
+		gameSetupElement.classList.remove('visible');
+		gameSetupElement.replaceChildren();
+	};
+
+	const showGameSetup = ({
+		title,
+		settings,
+		endOptions,
+		thinkTimeOptions,
+		stonesPerTeamOptions,
+		iceProfileOptions,
+		boundaryRuleOptions,
+		rosterPositions,
+		onStart,
+		onCancel
+	}) => {
+		if (!gameSetupElement) {
+			return;
+		}
+		const heading = document.createElement('h2');
+		heading.textContent = title;
+
+		const endsSelect = createSetupSelect(
+			endOptions.map((ends) => ({ value: ends, label: `${ends} ends` })),
+			settings.ends
+		);
+		const thinkTimeSelect = createSetupSelect(
+			thinkTimeOptions.map((seconds) => ({ value: seconds, label: `${seconds / 60} min` })),
+			settings.thinkTimeSeconds
+		);
+		const stonesSelect = createSetupSelect(
+			stonesPerTeamOptions.map((count) => ({ value: count, label: `${count} stones` })),
+			settings.stonesPerTeam
+		);
+		const iceSelect = createSetupSelect(iceProfileOptions, settings.iceProfile);
+		const boundarySelect = createSetupSelect(boundaryRuleOptions, settings.boundaryRule);
+		const extraEndsInput = document.createElement('input');
+		extraEndsInput.type = 'checkbox';
+		extraEndsInput.checked = settings.allowExtraEnds;
+
+		const nameInputs = scoreboardState.teams.map((team) => {
+			const input = document.createElement('input');
+			input.type = 'text';
+			input.maxLength = 16;
+			input.value = settings.teamNames[team.stoneColor] ?? team.name;
+			return { stoneColor: team.stoneColor, input };
+		});
+
+		const lineupInputs = scoreboardState.teams.map((team) => {
+			const container = document.createElement('div');
+			container.className = 'game-setup-lineup';
+			const inputs = rosterPositions.map((position, index) => {
+				const input = document.createElement('input');
+				input.type = 'text';
+				input.maxLength = 16;
+				input.placeholder = position.label;
+				input.setAttribute('aria-label', `${team.name} ${position.label.toLowerCase()}`);
+				input.value = settings.rosters?.[team.stoneColor]?.[index] ?? '';
+				container.appendChild(input);
+				return input;
+			});
+			return { stoneColor: team.stoneColor, container, inputs };
+		});
+
+		gameSetupElement.replaceChildren(
+			heading,
+			createSetupField('Ends', endsSelect),
+			createSetupField('Think time per team', thinkTimeSelect),
+			...(stonesPerTeamOptions.length > 1 ? [createSetupField('Stones per team', stonesSelect)] : []),
+			createSetupField('Ice', iceSelect),
+			createSetupField('Boundaries', boundarySelect),
+			createSetupField('Allow extra ends', extraEndsInput),
+			...nameInputs.map(({ stoneColor, input }) =>
+				createSetupField(`${stoneColor.charAt(0).toUpperCase()}${stoneColor.slice(1)} team`, input)
+			),
+			...(rosterPositions.length > 0
+				? lineupInputs.map(({ stoneColor, container }) =>
+					createSetupField(`${stoneColor.charAt(0).toUpperCase()}${stoneColor.slice(1)} lineup`, container)
+				)
+				: []),
+			createMenuButton('Start game', () => {
+				const teamNames = {};
+				nameInputs.forEach(({ stoneColor, input }) => {
+					teamNames[stoneColor] = input.value.trim() || settings.teamNames[stoneColor];
+				});
+				const rosters = {};
+				lineupInputs.forEach(({ stoneColor, inputs }) => {
+					rosters[stoneColor] = inputs.map((input) => input.value.trim());
+				});
+				hideGameSetup();
+				onStart({
+					ends: Number(endsSelect.value),
+					thinkTimeSeconds: Number(thinkTimeSelect.value),
+					stonesPerTeam: Number(stonesSelect.value),
+					allowExtraEnds: extraEndsInput.checked,
+					iceProfile: iceSelect.value,
+					boundaryRule: boundarySelect.value,
+					teamNames,
+					rosters
+				});
+			}),
+			createMenuButton('Back', () => {
+				hideGameSetup();
+				onCancel?.();
+			})
+		);
+		gameSetupElement.classList.add('visible');
+	};
+
+	const createReplayButton = (label, ariaLabel, onClick) => {
+		const button = createMenuButton(label, onClick);
+		button.setAttribute('aria-label', ariaLabel);
+		return button;
+	};
+
+	const mountReplayControls = ({ onOpen, onTogglePause, onPrevious, onNext, onSeek, onClose }) => {
+		replayOpenElement = createReplayButton('Replay end', 'Replay the last end', onOpen);
+		replayOpenElement.className = 'replay-open';
+
+		replayControlsElement = document.createElement('div');
+		replayControlsElement.className = 'replay-controls';
+		replayLabelElement = document.createElement('span');
+		replayLabelElement.className = 'replay-label';
+		replaySeekElement = document.createElement('input');
+		replaySeekElement.type = 'range';
+		replaySeekElement.min = '0';
+		replaySeekElement.max = '1000';
+		replaySeekElement.value = '0';
+		replaySeekElement.setAttribute('aria-label', 'Replay position');
+		replaySeekElement.addEventListener('input', () => {
+			onSeek?.(Number(replaySeekElement.value) / 1000);
+		});
+		replayPlayButton = createReplayButton('❚❚', 'Play or pause', onTogglePause);
+		replayControlsElement.append(
+			replayLabelElement,
+			createReplayButton('⏮', 'Previous shot', onPrevious),
+			replayPlayButton,
+			createReplayButton('⏭', 'Next shot', onNext),
+			replaySeekElement,
+			createReplayButton('✕', 'Close replay', onClose)
+		);
+
+		const attach = () => {
+			[replayOpenElement, replayControlsElement].forEach((element) => {
+				if (!document.body.contains(element)) {
+					document.body.appendChild(element);
+				}
+			});
+		};
+		if (document.body) {
+			attach();
+		} else {
+			window.addEventListener('DOMContentLoaded', attach, { once: true });
+		}
+	};
+
+	const setReplayOpenVisible = (visible) => {
+		if (!replayOpenElement) {
+			return;
+		}
+		replayOpenElement.classList.toggle('is-visible', visible);
+	};
+
+	const setReplayControlsVisible = (visible) => {
+		if (!replayControlsElement) {
+			return;
+		}
+		replayControlsElement.classList.toggle('is-visible', visible);
+	};
+
+	const setReplayControlsState = ({ label, progress, playing }) => {
+		if (!replayControlsElement) {
+			return;
+		}
+		replayLabelElement.textContent = label;
+		replaySeekElement.value = String(Math.round(progress * 1000));
+		replayPlayButton.textContent = playing ? '❚❚' : '▶';
+	};
+
+	const downloadFile = (filename, text, type = 'application/json') => {
+		const url = URL.createObjectURL(new Blob([text], { type }));
+		const link = document.createElement('a');
+		link.href = url;
+		link.download = filename;
+		document.body.appendChild(link);
+		link.click();
+		link.remove();
+		window.setTimeout(() => URL.revokeObjectURL(url), 0);
+	};
+
+	const pickFile = ({ accept }) =>
+		new Promise((resolve, reject) => {
+			const input = document.createElement('input');
+			input.type = 'file';
+			input.accept = accept;
+			input.addEventListener('change', () => {
+				const [file] = input.files ?? [];
+				if (!file) {
+					reject(new Error('No file selected.'));
+					return;
+				}
+				file.text().then(resolve, reject);
+			}, { once: true });
+			input.click();
+		});
+
 	return {
 		mountScoreboard,
 		renderScoreboard,
@@ -590,6 +1203,15 @@ export function createUIController({ canvas, getDisplayScale, measurements, scor
 		setFriendTimerHidden,
 		mountPracticeBackButton,
 		setPracticeBackVisible,
+		mountPracticeTools,
+		setPracticeToolsVisible,
+		setPracticeToolsState,
+		mountMeasureButton,
+		setMeasureButtonState,
+		mountTelemetryHud,
+		setTelemetryHudState,
+		mountThrowerLabel,
+		setThrowerLabel,
 		mountWinnerAnnouncement,
 		mountEndScoreAnnouncement,
 		showWinnerAnnouncement,
@@ -598,15 +1220,31 @@ export function createUIController({ canvas, getDisplayScale, measurements, scor
 		hideEndScoreAnnouncement,
 		mountMenu,
 		setMenuVisible,
+		setMenuItemVisible,
 		mountMultiplayerInvite,
 		setMultiplayerInviteVisible,
 		setMultiplayerInviteLink,
+		setMultiplayerSpectatorLink,
 		setMultiplayerInviteStatus,
 		setMultiplayerInviteCreateEnabled,
 		setMultiplayerInviteColor,
 		setMultiplayerInviteRole,
+		mountConnectionOverlay,
+		setConnectionOverlayState,
 		mountCenterNote,
 		showCenterNote,
+		mountChoicePrompt,
+		showChoicePrompt,
+		hideChoicePrompt,
+		mountGameSetup,
+		showGameSetup,
+		hideGameSetup,
+		mountReplayControls,
+		setReplayOpenVisible,
+		setReplayControlsVisible,
+		setReplayControlsState,
+		downloadFile,
+		pickFile,
 		getScoreboardVisible: () => scoreboardVisible
 	};
 }